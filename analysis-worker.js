@@ -0,0 +1,44 @@
+// ===== rPPG Pro — Analysis Worker =====
+// Runs the engine off the main thread; the page only samples pixels and renders events
+//
+// Page → worker: { type: 'init' | 'reset' | 'options', options }
+//                { type: 'frame', frame }   frame.pixels is transferred, not copied
+//                { type: 'push', sample }   pre-averaged sample (trace import)
+//                { type: 'reference', reading }  reference-sensor reading
+//                { type: 'summary' | 'trace', id }
+// Worker → page: { type: 'event', event }   every engine event, see createRPPGEngine
+//                { type: 'reply', id, result }
+
+importScripts('signal.js', 'analysis.js', 'trace.js', 'roi.js', 'methods.js', 'biofeedback.js', 'refsensor.js', 'respiration.js', 'engine.js');
+
+let engine = null;
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            engine = createRPPGEngine(data.options);
+            engine.on('*', event => self.postMessage({ type: 'event', event }));
+            break;
+        case 'reset':
+            engine.reset(data.options);
+            break;
+        case 'options':
+            engine.setOptions(data.options);
+            break;
+        case 'frame':
+            engine.pushFrame(data.frame);
+            break;
+        case 'push':
+            engine.push(data.sample);
+            break;
+        case 'reference':
+            engine.pushReference(data.reading);
+            break;
+        case 'summary':
+            self.postMessage({ type: 'reply', id: data.id, result: engine.summary() });
+            break;
+        case 'trace':
+            self.postMessage({ type: 'reply', id: data.id, result: engine.getTrace() });
+            break;
+    }
+};
@@ -26,19 +26,206 @@ function calculateHRVMetrics(rrIntervals) {
     }
     const pnn50 = (nn50 / (n - 1)) * 100;
 
-    // LF/HF (simplified via time-domain proxy)
-    // True LF/HF requires frequency domain of RR tachogram
-    // We use SDNN/RMSSD as a proxy (higher = more sympathetic)
+    // LF/HF proxy (SDNN/RMSSD, higher = more sympathetic)
+    // Only a fallback for short windows, see calculateFrequencyHRV for the spectral ratio
     const lfHfProxy = rmssd > 0 ? sdnn / rmssd : 1;
 
     return { sdnn: Math.round(sdnn), rmssd: Math.round(rmssd), pnn50: Math.round(pnn50 * 10) / 10, lfHfRatio: Math.round(lfHfProxy * 100) / 100, meanRR: Math.round(mean) };
 }
 
 /**
- * Estimate SpO2 from red and blue channel ratio
- * This is a rough approximation - not medical grade
+ * Correct missed, extra and ectopic beats in one continuous RR segment
+ * Each interval is compared with the median of its 11 neighbours:
+ *   missed   ≈ 2× median            → split in two
+ *   extra    short + next ≈ median  → merged
+ *   ectopic  short + long ≈ 2× median (premature beat + compensatory pause) → evened out
+ *   artifact anything else > 25% off → replaced by the median
+ * rrTimes = time (ms) of the beat closing each interval
+ */
+function correctRRSeries(rrIntervals, rrTimes) {
+    const rr = [], times = [];
+    const corrections = { missed: 0, extra: 0, ectopic: 0, artifact: 0 };
+    const localMedian = i => {
+        const win = rrIntervals.slice(Math.max(0, i - 5), i + 6).sort((a, b) => a - b);
+        return win[Math.floor(win.length / 2)];
+    };
+    for (let i = 0; i < rrIntervals.length; i++) {
+        const m = localMedian(i), v = rrIntervals[i], next = rrIntervals[i + 1];
+        if (Math.abs(v - 2 * m) < 0.2 * m) {
+            rr.push(v / 2, v / 2); times.push(rrTimes[i] - v / 2, rrTimes[i]);
+            corrections.missed++;
+        } else if (next !== undefined && v < 0.75 * m && Math.abs(v + next - m) < 0.2 * m) {
+            rr.push(v + next); times.push(rrTimes[i + 1]);
+            corrections.extra++; i++;
+        } else if (next !== undefined && v < 0.8 * m && next > 1.2 * m && Math.abs(v + next - 2 * m) < 0.2 * m) {
+            rr.push((v + next) / 2, (v + next) / 2); times.push(rrTimes[i + 1] - (v + next) / 2, rrTimes[i + 1]);
+            corrections.ectopic++; i++;
+        } else if (Math.abs(v - m) > 0.25 * m) {
+            rr.push(m); times.push(rrTimes[i]);
+            corrections.artifact++;
+        } else {
+            rr.push(v); times.push(rrTimes[i]);
+        }
+    }
+    return { rr, times, corrections };
+}
+
+// Spectral HRV bands (Hz), Task Force of the ESC/NASPE 1996
+const HRV_BANDS = { vlf: [0.0033, 0.04], lf: [0.04, 0.15], hf: [0.15, 0.4] };
+const HRV_MIN_SPECTRAL_SEC = 120;   // LF needs ≥ 2 min (≈ 5 cycles of its lowest frequency)
+const HRV_MIN_VLF_SEC = 300;        // VLF / total power only for ≥ 5 min recordings
+
+/**
+ * Lomb-Scargle periodogram for unevenly sampled data (times in seconds)
+ * Unnormalized: a sine of amplitude A over N points peaks at N·A²/4
  */
-function estimateSpO2(redSignal, blueSignal) {
+function lombScargle(times, values, freqs) {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b) / n;
+    const y = values.map(v => v - mean);
+    return freqs.map(f => {
+        const w = 2 * Math.PI * f;
+        let s2 = 0, c2 = 0;
+        for (let i = 0; i < n; i++) { s2 += Math.sin(2 * w * times[i]); c2 += Math.cos(2 * w * times[i]); }
+        const tau = Math.atan2(s2, c2) / (2 * w);
+        let yc = 0, ys = 0, cc = 0, ss = 0;
+        for (let i = 0; i < n; i++) {
+            const c = Math.cos(w * (times[i] - tau)), sn = Math.sin(w * (times[i] - tau));
+            yc += y[i] * c; ys += y[i] * sn; cc += c * c; ss += sn * sn;
+        }
+        return 0.5 * ((cc > 0 ? yc * yc / cc : 0) + (ss > 0 ? ys * ys / ss : 0));
+    });
+}
+
+/**
+ * Frequency-domain HRV from an RR tachogram (Lomb-Scargle, no resampling needed)
+ * rrTimes = time (ms) of the beat closing each interval; gaps are allowed
+ * Returns null until the recording spans HRV_MIN_SPECTRAL_SEC
+ * Powers in ms², normalized units relative to LF + HF
+ */
+function calculateFrequencyHRV(rrIntervals, rrTimes) {
+    const n = rrIntervals.length;
+    if (n < 2 || rrTimes.length !== n) return null;
+    const times = rrTimes.map(v => (v - rrTimes[0]) / 1000);
+    const duration = times[n - 1];
+    // Too short, or too many gaps (fewer than one interval per 2 s) for a stable spectrum
+    if (duration < HRV_MIN_SPECTRAL_SEC || n < duration / 2) return null;
+
+    const df = 0.001;
+    const freqs = [];
+    for (let f = HRV_BANDS.vlf[0]; f < HRV_BANDS.hf[1]; f += df) freqs.push(f);
+    // Scale to a one-sided PSD (ms²/Hz): integrating a sine's peak gives its variance A²/2
+    const scale = 2 * duration / n;
+    const psd = lombScargle(times, rrIntervals, freqs).map(p => p * scale);
+    const band = ([lo, hi]) => freqs.reduce((sum, f, i) => (f >= lo && f < hi) ? sum + psd[i] * df : sum, 0);
+
+    const lf = band(HRV_BANDS.lf), hf = band(HRV_BANDS.hf);
+    const vlf = duration >= HRV_MIN_VLF_SEC ? band(HRV_BANDS.vlf) : null;
+    const lfHf = lf + hf;
+    return {
+        vlf: vlf === null ? null : Math.round(vlf),
+        lf: Math.round(lf),
+        hf: Math.round(hf),
+        totalPower: vlf === null ? null : Math.round(vlf + lf + hf),
+        lfNu: lfHf > 0 ? Math.round(lf / lfHf * 1000) / 10 : null,
+        hfNu: lfHf > 0 ? Math.round(hf / lfHf * 1000) / 10 : null,
+        lfHfRatio: hf > 0 ? Math.round(lf / hf * 100) / 100 : null,
+        duration: Math.round(duration),
+        beats: n + 1
+    };
+}
+
+const NONLINEAR_MIN_BEATS = 50;     // sample entropy / DFA need a longer series than Poincaré
+
+/**
+ * Sample entropy SampEn(m, r) with r = rFactor × SD (Richman & Moorman 2000)
+ */
+function sampleEntropy(series, m = 2, rFactor = 0.2) {
+    const n = series.length;
+    const mean = series.reduce((a, v) => a + v, 0) / n;
+    const r = rFactor * Math.sqrt(series.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n);
+    let matchM = 0, matchM1 = 0;
+    for (let i = 0; i < n - m; i++) {
+        for (let j = i + 1; j < n - m; j++) {
+            let k = 0;
+            while (k < m && Math.abs(series[i + k] - series[j + k]) <= r) k++;
+            if (k < m) continue;
+            matchM++;
+            if (Math.abs(series[i + m] - series[j + m]) <= r) matchM1++;
+        }
+    }
+    return matchM > 0 && matchM1 > 0 ? -Math.log(matchM1 / matchM) : null;
+}
+
+/**
+ * Detrended fluctuation analysis scaling exponent over box sizes minBox..maxBox beats
+ * Defaults give the short-term α1 (4-16 beats)
+ */
+function dfaAlpha(series, minBox = 4, maxBox = 16) {
+    const n = series.length;
+    const mean = series.reduce((a, v) => a + v, 0) / n;
+    const profile = [];
+    let acc = 0;
+    series.forEach(v => { acc += v - mean; profile.push(acc); });
+
+    const logN = [], logF = [];
+    for (let box = minBox; box <= maxBox; box++) {
+        const boxes = Math.floor(n / box);
+        if (boxes < 2) break;
+        let sq = 0;
+        for (let k = 0; k < boxes; k++) {
+            // Least-squares line per box, then residual power
+            let sx = 0, sy = 0, sxx = 0, sxy = 0;
+            for (let i = 0; i < box; i++) { const v = profile[k * box + i]; sx += i; sy += v; sxx += i * i; sxy += i * v; }
+            const slope = (box * sxy - sx * sy) / (box * sxx - sx * sx);
+            const icpt = (sy - slope * sx) / box;
+            for (let i = 0; i < box; i++) sq += (profile[k * box + i] - icpt - slope * i) ** 2;
+        }
+        logN.push(Math.log(box)); logF.push(Math.log(Math.sqrt(sq / (boxes * box))));
+    }
+    if (logN.length < 3) return null;
+    const mx = logN.reduce((a, v) => a + v) / logN.length, my = logF.reduce((a, v) => a + v) / logF.length;
+    let num = 0, den = 0;
+    logN.forEach((x, i) => { num += (x - mx) * (logF[i] - my); den += (x - mx) ** 2; });
+    return num / den;
+}
+
+/**
+ * Nonlinear HRV from a cleaned RR series: Poincaré SD1/SD2, sample entropy, DFA α1
+ * SampEn / α1 stay null below NONLINEAR_MIN_BEATS intervals
+ */
+function calculateNonlinearHRV(rrIntervals) {
+    const n = rrIntervals.length;
+    if (n < 10) return null;
+    const mean = rrIntervals.reduce((a, v) => a + v) / n;
+    const sdnn2 = rrIntervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+    const diffs = [];
+    for (let i = 1; i < n; i++) diffs.push(rrIntervals[i] - rrIntervals[i - 1]);
+    const dMean = diffs.reduce((a, v) => a + v) / diffs.length;
+    const sd1sq = diffs.reduce((sum, v) => sum + (v - dMean) ** 2, 0) / diffs.length / 2;
+    const sd1 = Math.sqrt(sd1sq);
+    const sd2 = Math.sqrt(Math.max(0, 2 * sdnn2 - sd1sq));
+
+    const long = n >= NONLINEAR_MIN_BEATS;
+    const sampEn = long ? sampleEntropy(rrIntervals) : null;
+    const alpha1 = long ? dfaAlpha(rrIntervals) : null;
+    return {
+        sd1: Math.round(sd1 * 10) / 10,
+        sd2: Math.round(sd2 * 10) / 10,
+        sd1sd2: sd2 > 0 ? Math.round(sd1 / sd2 * 100) / 100 : null,
+        sampEn: sampEn === null ? null : Math.round(sampEn * 100) / 100,
+        dfaAlpha1: alpha1 === null ? null : Math.round(alpha1 * 100) / 100,
+        beats: n
+    };
+}
+
+// Uncalibrated linear model SpO2 = a − b · ratio (Beer-Lambert, empirical); min = lower clamp
+const SPO2_DEFAULT_MODEL = { a: 110, b: 25, min: 85 };
+
+/**
+ * Ratio of ratios (AC/DC red over AC/DC blue) over the last 60 samples; null when too short
+ */
+function spo2Ratio(redSignal, blueSignal) {
     if (redSignal.length < 60) return null;
 
     const recent = 60;
@@ -59,13 +246,24 @@ function estimateSpO2(redSignal, blueSignal) {
     const rDC = rMean || 1;
     const bDC = bMean || 1;
 
-    const ratio = (rAC / rDC) / (bAC / bDC || 1);
+    return (rAC / rDC) / (bAC / bDC || 1);
+}
 
-    // Empirical calibration (Beer-Lambert linear model)
-    let spo2 = 110 - 25 * ratio;
-    spo2 = Math.max(85, Math.min(100, spo2));
+/**
+ * SpO2 (%) from a ratio with a linear model { a, b, min } — the default or a per-user calibration
+ */
+function spo2FromRatio(ratio, model = SPO2_DEFAULT_MODEL) {
+    const spo2 = model.a - model.b * ratio;
+    return Math.round(Math.max(model.min ?? SPO2_DEFAULT_MODEL.min, Math.min(100, spo2)));
+}
 
-    return Math.round(spo2);
+/**
+ * Estimate SpO2 from red and blue channel ratio
+ * This is a rough approximation - not medical grade; pass a calibration model to correct for camera and person
+ */
+function estimateSpO2(redSignal, blueSignal, model = SPO2_DEFAULT_MODEL) {
+    const ratio = spo2Ratio(redSignal, blueSignal);
+    return ratio === null ? null : spo2FromRatio(ratio, model || SPO2_DEFAULT_MODEL);
 }
 
 /**
@@ -138,6 +336,21 @@ function analyzeEmotionalState(hrvMetrics, hr) {
     return { state: '非常放鬆', emoji: '😊', color: '#5ac8fa', level: 'very-low' };
 }
 
+// Meridian mapping (王唯工 theory), index = harmonic C0…C10
+const HARMONIC_MERIDIANS = [
+    { name: '心', organ: '心臟', color: '#ff2d55', emoji: '❤️' },       // C0 fundamental
+    { name: '肝', organ: '肝經', color: '#30d158', emoji: '🟢' },       // C1
+    { name: '腎', organ: '腎經', color: '#5856d6', emoji: '🔵' },       // C2
+    { name: '脾', organ: '脾經', color: '#ff9f0a', emoji: '🟡' },       // C3
+    { name: '肺', organ: '肺經', color: '#aeaeb2', emoji: '⚪' },       // C4
+    { name: '胃', organ: '胃經', color: '#ffd60a', emoji: '🟠' },       // C5
+    { name: '膽', organ: '膽經', color: '#34c759', emoji: '🫒' },       // C6
+    { name: '膀胱', organ: '膀胱經', color: '#007aff', emoji: '💧' },   // C7
+    { name: '大腸', organ: '大腸經', color: '#af52de', emoji: '🟣' },   // C8
+    { name: '三焦', organ: '三焦經', color: '#ff6482', emoji: '🔺' },   // C9
+    { name: '小腸', organ: '小腸經', color: '#ac8e68', emoji: '🟤' },   // C10
+];
+
 /**
  * 王唯工脈診儀 — Pulse Harmonic Analysis
  * Decomposes PPG signal into harmonics mapped to TCM meridians
@@ -171,21 +384,6 @@ function pulseHarmonicAnalysis(signal, fps, strict) {
 
     const fundFreq = fundBin * fps / n;
 
-    // Meridian mapping (王唯工 theory)
-    const meridians = [
-        { name: '心', organ: '心臟', color: '#ff2d55', emoji: '❤️' },       // C0 fundamental
-        { name: '肝', organ: '肝經', color: '#30d158', emoji: '🟢' },       // C1
-        { name: '腎', organ: '腎經', color: '#5856d6', emoji: '🔵' },       // C2
-        { name: '脾', organ: '脾經', color: '#ff9f0a', emoji: '🟡' },       // C3
-        { name: '肺', organ: '肺經', color: '#aeaeb2', emoji: '⚪' },       // C4
-        { name: '胃', organ: '胃經', color: '#ffd60a', emoji: '🟠' },       // C5
-        { name: '膽', organ: '膽經', color: '#34c759', emoji: '🫒' },       // C6
-        { name: '膀胱', organ: '膀胱經', color: '#007aff', emoji: '💧' },   // C7
-        { name: '大腸', organ: '大腸經', color: '#af52de', emoji: '🟣' },   // C8
-        { name: '三焦', organ: '三焦經', color: '#ff6482', emoji: '🔺' },   // C9
-        { name: '小腸', organ: '小腸經', color: '#ac8e68', emoji: '🟤' },   // C10
-    ];
-
     // Extract amplitude at each harmonic
     const harmonics = [];
     let totalEnergy = 0;
@@ -203,7 +401,7 @@ function pulseHarmonicAnalysis(signal, fps, strict) {
         }
 
         harmonics.push({
-            ...meridians[h],
+            ...HARMONIC_MERIDIANS[h],
             harmonic: h,
             amplitude: peakMag,
             frequency: (h === 0 ? fundFreq : fundFreq * (h + 1)),
@@ -213,7 +411,24 @@ function pulseHarmonicAnalysis(signal, fps, strict) {
 
     // Calculate percentages and health status
     if (totalEnergy === 0) return null;
+    harmonics.forEach(h => {
+        h.percentage = (h.amplitude / totalEnergy) * 100;
+        h.normalized = h.amplitude / harmonics[0].amplitude;
+    });
+
+    return {
+        harmonics,
+        fundFreq: Math.round(fundFreq * 100) / 100,
+        totalEnergy,
+        ...classifyHarmonics(harmonics, strict)
+    };
+}
 
+/**
+ * Per-harmonic status against the expected ranges, plus the constitution assessment
+ * harmonics: [{ percentage }] for C0…C10 (status fields are written in place)
+ */
+function classifyHarmonics(harmonics, strict) {
     // Expected ranges by strictness level:
     // 0 = normal (wide), 1 = strict (narrow), 2 = super strict (very narrow, clinical-ideal)
     const rangesByLevel = [
@@ -249,9 +464,6 @@ function pulseHarmonicAnalysis(signal, fps, strict) {
     const cExcessMult = [1.2, 1.05, 1.0][level];
 
     harmonics.forEach((h, i) => {
-        h.percentage = (h.amplitude / totalEnergy) * 100;
-        h.normalized = h.amplitude / harmonics[0].amplitude;
-
         const range = expectedRanges[i];
         if (h.percentage > range.max * overMult) {
             h.status = '偏亢'; h.statusColor = '#ff9f0a';
@@ -301,12 +513,23 @@ function pulseHarmonicAnalysis(signal, fps, strict) {
         '⚠️ 超級嚴格：極窄標準，極少人達標，純屬研究參考',
     ];
 
-    return {
-        harmonics,
-        fundFreq: Math.round(fundFreq * 100) / 100,
-        constitution, constitutionEmoji,
-        totalEnergy, healthyOrder,
-        strict: level,
-        note: notes[level]
+    return { constitution, constitutionEmoji, healthyOrder, strict: level, note: notes[level] };
+}
+
+/**
+ * Rebuild a drawable harmonic profile from stored C0…C10 percentages
+ */
+function harmonicProfile(percentages, strict) {
+    if (!percentages || percentages.length < 5) return null;
+    const harmonics = percentages.map((percentage, h) => ({ ...HARMONIC_MERIDIANS[h], harmonic: h, percentage }));
+    return { harmonics, ...classifyHarmonics(harmonics, strict) };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        calculateHRVMetrics, correctRRSeries, HRV_BANDS, lombScargle, calculateFrequencyHRV,
+        sampleEntropy, dfaAlpha, calculateNonlinearHRV,
+        SPO2_DEFAULT_MODEL, spo2Ratio, spo2FromRatio, estimateSpO2, estimateBreathingRate,
+        analyzeEmotionalState, HARMONIC_MERIDIANS, pulseHarmonicAnalysis, classifyHarmonics, harmonicProfile
     };
 }
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+// ===== rPPG Pro — Benchmark Runner =====
+// Headless accuracy check of a recorded RGB trace against UBFC-rPPG / PURE ground truth
+//
+//   node benchmark.js --trace subject1.json --gt subject1/ground_truth.txt
+//   node benchmark.js --manifest bench.json --out results/run1 --max-mae 5
+//
+// Input is a pre-extracted RGB trace, never the dataset video: Node has no video decoder or face detector,
+// so the UBFC-rPPG / PURE videos (vid.avi / PNG frames) cannot be benchmarked directly. Convert each one first:
+// replay it in the app with "記錄原始訊號" enabled, export the trace, then run it here.
+
+const fs = require('fs');
+const path = require('path');
+const { createRPPGEngine } = require('./engine.js'); // also exposes signal / analysis / trace / methods as globals
+
+const BENCH_DEFAULTS = {
+    pipeline: 'fused',      // fused = fusedHeartRate per window, engine = full runAnalysis logic (hr events)
+    engineValue: 'raw',     // engine pipeline: raw = HR of each analysis against GT over that analysis' own samples,
+                            // display = smoothed value shown in the app, against GT shifted back by displayLag
+    displayLag: 6,          // seconds the displayed HR trails the signal (IQR over ~30 analyses + EMA, at 30 fps)
+    methods: ['pos', 'chrom'],
+    window: 10,             // seconds per evaluation window
+    step: 1,                // seconds between windows (fused pipeline)
+    offset: 0,              // seconds added to ground-truth time to align with the trace
+    gtSource: 'ppg'         // ppg = spectral HR of the reference PPG in the window, hr = mean device HR
+};
+
+// ===== Ground truth =====
+
+/**
+ * Load ground truth as { t: [s], ppg: [], hr: [] }; format = 'ubfc2' | 'ubfc1' | 'pure' (auto from the file name)
+ *   ubfc2  ground_truth.txt — three lines: PPG values, HR values, timestamps (s)
+ *   ubfc1  gtdump.xmp       — CSV rows: time (ms), HR, SpO2, PPG
+ *   pure   NN-NN.json       — "/FullPackage": [{ Timestamp (ns), Value: { pulseRate, waveform } }]
+ */
+function loadGroundTruth(file, format) {
+    const text = fs.readFileSync(file, 'utf8');
+    const fmt = format || detectGroundTruthFormat(file);
+    if (fmt === 'ubfc2') {
+        const lines = text.trim().split(/\r?\n/).map(l => l.trim().split(/\s+/).map(Number));
+        if (lines.length < 3) throw new Error('UBFC ground_truth.txt needs 3 lines (PPG, HR, time)');
+        return { t: lines[2], ppg: lines[0], hr: lines[1] };
+    }
+    if (fmt === 'ubfc1') {
+        const rows = text.trim().split(/\r?\n/).map(l => l.split(',').map(Number)).filter(r => r.length >= 4);
+        const t0 = rows.length ? rows[0][0] : 0;
+        return { t: rows.map(r => (r[0] - t0) / 1000), hr: rows.map(r => r[1]), ppg: rows.map(r => r[3]) };
+    }
+    if (fmt === 'pure') {
+        const data = JSON.parse(text);
+        const pkg = data['/FullPackage'] || [];
+        // PURE clocks start at the first video frame
+        const t0 = (data['/Image'] && data['/Image'].length) ? data['/Image'][0].Timestamp : (pkg.length ? pkg[0].Timestamp : 0);
+        return {
+            t: pkg.map(p => (p.Timestamp - t0) / 1e9),
+            hr: pkg.map(p => p.Value.pulseRate),
+            ppg: pkg.map(p => p.Value.waveform)
+        };
+    }
+    throw new Error('Unknown ground-truth format: ' + fmt);
+}
+
+function detectGroundTruthFormat(file) {
+    const name = path.basename(file).toLowerCase();
+    if (name.endsWith('.json')) return 'pure';
+    if (name.endsWith('.xmp')) return 'ubfc1';
+    return 'ubfc2';
+}
+
+/**
+ * Reference HR (bpm) over [start, end) seconds of ground-truth time
+ */
+function groundTruthHR(gt, start, end, source) {
+    const idx = [];
+    gt.t.forEach((v, i) => { if (v >= start && v < end) idx.push(i); });
+    if (idx.length < 2) return null;
+    if (source === 'hr') {
+        const vals = idx.map(i => gt.hr[i]).filter(v => v > 0);
+        return vals.length ? vals.reduce((a, v) => a + v) / vals.length : null;
+    }
+    if (idx.length < 60) return null;
+    const fps = (idx.length - 1) / (gt.t[idx[idx.length - 1]] - gt.t[idx[0]]);
+    return welchFFTHeartRate(butterworthBandpass(idx.map(i => gt.ppg[i]), fps), fps);
+}
+
+// ===== Pipelines =====
+
+/**
+ * Per-window estimates { start, end, est, gt, quality } for one trace
+ */
+function runPipeline(trace, gt, opts) {
+    const t0 = trace.t[0];
+    const secs = trace.t.map(v => (v - t0) / 1000);
+    const gtAt = (start, end) => groundTruthHR(gt, start - opts.offset, end - opts.offset, opts.gtSource);
+    const windows = [];
+
+    if (opts.pipeline === 'engine') {
+        const engine = createRPPGEngine({ methods: opts.methods });
+        let last = null;
+        engine.on('quality', q => { last = q.raw; });
+        engine.on('hr', e => {
+            if (!e.ready) return; // warm-up estimates are never shown
+            let end = (e.t - t0) / 1000, start;
+            if (opts.engineValue === 'display') {
+                end -= opts.displayLag;
+                start = end - opts.window;
+            } else {
+                start = (engine.getBuffers().t[0] - t0) / 1000; // the analysis window behind this estimate
+            }
+            if (start < 0) return;
+            windows.push({ start, end, est: opts.engineValue === 'display' ? e.bpm : e.raw, gt: gtAt(start, end), quality: last });
+        });
+        for (let i = 0; i < traceLength(trace); i++) engine.push(getTraceFrame(trace, i));
+        return windows;
+    }
+
+    const methods = getRPPGMethods(opts.methods);
+    const duration = secs[secs.length - 1];
+    for (let start = 0; start + opts.window <= duration + 1e-9; start += opts.step) {
+        const end = start + opts.window;
+        const idx = [];
+        secs.forEach((v, i) => { if (v >= start && v < end) idx.push(i); });
+        if (idx.length < 90) continue;
+        const r = idx.map(i => trace.r[i]), g = idx.map(i => trace.g[i]), b = idx.map(i => trace.b[i]);
+        const fused = fusedHeartRate(r, g, b, estimateFPS(idx.map(i => trace.t[i])), methods);
+        windows.push({ start, end, est: fused.hr, gt: gtAt(start, end), quality: fused.quality.score });
+    }
+    return windows;
+}
+
+// ===== Statistics =====
+
+/**
+ * MAE, RMSE, MAPE, Pearson r and Bland–Altman (bias, SD, 95% limits of agreement) over paired windows
+ */
+function benchmarkStats(windows) {
+    const pairs = windows.filter(w => w.est > 0 && w.gt > 0);
+    const n = pairs.length;
+    if (!n) return { n: 0, coverage: 0 };
+    const err = pairs.map(w => w.est - w.gt);
+    const mean = arr => arr.reduce((a, v) => a + v, 0) / arr.length;
+    const sd = arr => { const m = mean(arr); return Math.sqrt(arr.reduce((s, v) => s + (v - m) ** 2, 0) / Math.max(1, arr.length - 1)); };
+
+    const est = pairs.map(w => w.est), gt = pairs.map(w => w.gt);
+    const me = mean(est), mg = mean(gt);
+    let cov = 0, ve = 0, vg = 0;
+    pairs.forEach((w, i) => { cov += (est[i] - me) * (gt[i] - mg); ve += (est[i] - me) ** 2; vg += (gt[i] - mg) ** 2; });
+
+    const bias = mean(err), sdErr = sd(err);
+    const round = v => Math.round(v * 100) / 100;
+    return {
+        n,
+        coverage: round(n / windows.length),
+        mae: round(mean(err.map(Math.abs))),
+        rmse: round(Math.sqrt(mean(err.map(e => e * e)))),
+        mape: round(mean(pairs.map((w, i) => Math.abs(err[i]) / w.gt * 100))),
+        pearson: ve > 0 && vg > 0 ? round(cov / Math.sqrt(ve * vg)) : null,
+        blandAltman: { bias: round(bias), sd: round(sdErr), loaLow: round(bias - 1.96 * sdErr), loaHigh: round(bias + 1.96 * sdErr) },
+        within5: round(err.filter(e => Math.abs(e) <= 5).length / n)
+    };
+}
+
+/**
+ * Run every { name, trace, gt, format? } entry and aggregate the windows
+ */
+function runBenchmark(entries, options = {}) {
+    const opts = { ...BENCH_DEFAULTS, ...options };
+    const subjects = entries.map(entry => {
+        const trace = parseTrace(fs.readFileSync(entry.trace, 'utf8'));
+        const gt = loadGroundTruth(entry.gt, entry.format);
+        const windows = runPipeline(trace, gt, { ...opts, offset: entry.offset ?? opts.offset }).map(w => ({
+            ...w,
+            est: w.est ? Math.round(w.est * 10) / 10 : null,
+            gt: w.gt ? Math.round(w.gt * 10) / 10 : null,
+            error: w.est && w.gt ? Math.round((w.est - w.gt) * 10) / 10 : null
+        }));
+        return { name: entry.name || path.basename(entry.trace), trace: entry.trace, gt: entry.gt, stats: benchmarkStats(windows), windows };
+    });
+    return {
+        createdAt: new Date().toISOString(),
+        options: opts,
+        overall: benchmarkStats(subjects.flatMap(s => s.windows)),
+        subjects
+    };
+}
+
+// ===== HTML report =====
+
+function _svgScatter(points, { w = 320, h = 240, xLabel, yLabel, identity, hLines = [] }) {
+    if (!points.length) return '';
+    const xs = points.map(p => p[0]), ys = points.map(p => p[1]).concat(hLines.map(l => l.y));
+    const pad = 32;
+    let x0 = Math.min(...xs), x1 = Math.max(...xs), y0 = Math.min(...ys), y1 = Math.max(...ys);
+    if (identity) { x0 = y0 = Math.min(x0, y0); x1 = y1 = Math.max(x1, y1); }
+    const sx = v => pad + (v - x0) / ((x1 - x0) || 1) * (w - 2 * pad);
+    const sy = v => h - pad - (v - y0) / ((y1 - y0) || 1) * (h - 2 * pad);
+    const dots = points.map(p => `<circle cx="${sx(p[0]).toFixed(1)}" cy="${sy(p[1]).toFixed(1)}" r="2.5" fill="rgba(255,45,85,0.7)"/>`).join('');
+    const lines = hLines.map(l => `<line x1="${pad}" x2="${w - pad}" y1="${sy(l.y)}" y2="${sy(l.y)}" stroke="${l.color}" stroke-dasharray="4 3"/>` +
+        `<text x="${w - pad}" y="${sy(l.y) - 3}" text-anchor="end">${l.label}</text>`).join('');
+    const diag = identity ? `<line x1="${sx(x0)}" y1="${sy(y0)}" x2="${sx(x1)}" y2="${sy(y1)}" stroke="rgba(255,255,255,0.3)" stroke-dasharray="4 3"/>` : '';
+    return `<svg width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">
+<rect x="${pad}" y="${pad}" width="${w - 2 * pad}" height="${h - 2 * pad}" fill="none" stroke="rgba(255,255,255,0.1)"/>
+${diag}${lines}${dots}
+<text x="${w / 2}" y="${h - 6}" text-anchor="middle">${xLabel}</text>
+<text x="10" y="${h / 2}" text-anchor="middle" transform="rotate(-90 10 ${h / 2})">${yLabel}</text>
+<text x="${pad}" y="${h - pad + 12}">${Math.round(x0)}</text><text x="${w - pad}" y="${h - pad + 12}" text-anchor="end">${Math.round(x1)}</text>
+<text x="${pad - 4}" y="${h - pad}" text-anchor="end">${Math.round(y0)}</text><text x="${pad - 4}" y="${pad + 4}" text-anchor="end">${Math.round(y1)}</text>
+</svg>`;
+}
+
+function _statsRow(name, s) {
+    const ba = s.blandAltman || {};
+    return `<tr><td>${name}</td><td>${s.n}</td><td>${Math.round((s.coverage || 0) * 100)}%</td><td>${s.mae ?? '--'}</td><td>${s.rmse ?? '--'}</td>` +
+        `<td>${s.mape ?? '--'}</td><td>${s.pearson ?? '--'}</td><td>${ba.bias ?? '--'}</td><td>${ba.loaLow ?? '--'} / ${ba.loaHigh ?? '--'}</td></tr>`;
+}
+
+/**
+ * Self-contained HTML report (no external assets)
+ */
+function benchmarkReportHTML(result) {
+    const all = result.subjects.flatMap(s => s.windows).filter(w => w.est > 0 && w.gt > 0);
+    const ba = result.overall.blandAltman || {};
+    const head = '<tr><th></th><th>n</th><th>Coverage</th><th>MAE</th><th>RMSE</th><th>MAPE %</th><th>r</th><th>Bias</th><th>95% LoA</th></tr>';
+    const windowTables = result.subjects.map(s => `
+<h3>${s.name}</h3>
+<details><summary>${s.windows.length} windows</summary>
+<table><tr><th>Start (s)</th><th>End (s)</th><th>Est</th><th>GT</th><th>Error</th><th>Quality</th></tr>
+${s.windows.map(w => `<tr${w.error !== null && Math.abs(w.error) > 5 ? ' class="bad"' : ''}><td>${w.start.toFixed(1)}</td><td>${w.end.toFixed(1)}</td><td>${w.est ?? '--'}</td><td>${w.gt ?? '--'}</td><td>${w.error ?? '--'}</td><td>${w.quality ?? '--'}</td></tr>`).join('\n')}
+</table></details>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="zh-TW"><head><meta charset="UTF-8"><title>rPPG Pro Benchmark</title>
+<style>
+body{font-family:Inter,system-ui,sans-serif;background:#0a0a0f;color:#f5f5f7;margin:24px;font-size:14px}
+h1,h2,h3{font-weight:700}table{border-collapse:collapse;margin:8px 0}td,th{border:1px solid #2c2c3a;padding:4px 8px;text-align:right}
+th{background:#1a1a2e}td:first-child,th:first-child{text-align:left}tr.bad td{color:#ff2d55}
+svg{background:#12121a;border-radius:8px;margin:4px}svg text{fill:rgba(255,255,255,0.5);font-size:10px}
+.meta{color:#8e8e93;font-size:12px}
+</style></head><body>
+<h1>💓 rPPG Pro — Benchmark</h1>
+<p class="meta">${result.createdAt} · pipeline ${result.options.pipeline}${result.options.pipeline === 'engine' ? ` (${result.options.engineValue})` : ''} · methods ${[].concat(result.options.methods).join('+')} · window ${result.options.window}s · GT ${result.options.gtSource}</p>
+<h2>Summary</h2>
+<table>${head}${_statsRow('<b>Overall</b>', result.overall)}${result.subjects.map(s => _statsRow(s.name, s.stats)).join('')}</table>
+${_svgScatter(all.map(w => [w.gt, w.est]), { xLabel: 'Ground truth HR', yLabel: 'Estimated HR', identity: true })}
+${_svgScatter(all.map(w => [(w.gt + w.est) / 2, w.est - w.gt]), {
+        xLabel: 'Mean of est & GT', yLabel: 'Est − GT',
+        hLines: [{ y: ba.bias || 0, color: '#5856d6', label: 'bias' }, { y: ba.loaLow || 0, color: '#ff9f0a', label: '−1.96 SD' }, { y: ba.loaHigh || 0, color: '#ff9f0a', label: '+1.96 SD' }]
+    })}
+<h2>Per-window errors</h2>
+${windowTables}
+</body></html>`;
+}
+
+// ===== CLI =====
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        args[key] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    }
+    return args;
+}
+
+const VIDEO_INPUT_MESSAGE = `Video input is not supported: this runner only reads pre-extracted RGB traces (Node has no video decoder or face detector).
+Convert each dataset video first: open it with "載入影片回放" in the app with "記錄原始訊號" on, export the trace,
+then pass the exported .json with --trace (or as "trace" in a --manifest entry).`;
+const VIDEO_EXTENSIONS = /\.(avi|mp4|mov|mkv|webm|png)$/i;
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.video) {
+        console.error(VIDEO_INPUT_MESSAGE);
+        process.exit(1);
+    }
+    if (args.help || (!args.manifest && !(args.trace && args.gt))) {
+        console.log(`Usage:
+  node benchmark.js --trace <trace.json> --gt <ground truth> [options]
+  node benchmark.js --manifest <list.json> [options]     list = [{ name, trace, gt, format?, offset? }]
+
+Traces only: dataset videos must be converted to a trace in the app first (no headless video decoding).
+
+Options:
+  --format ubfc2|ubfc1|pure   ground-truth layout (default: from file name)
+  --pipeline fused|engine     per-window fusedHeartRate, or the full engine (default fused)
+  --engine-value raw|display  engine: per-analysis HR on its own window, or the smoothed displayed HR (default raw)
+  --display-lag 6             seconds the displayed HR is shifted back against ground truth
+  --methods pos,chrom         rPPG methods (ids from methods.js, or all)
+  --window 10 --step 1        window / step in seconds
+  --offset 0                  seconds added to ground-truth time
+  --gt-source ppg|hr          reference from PPG spectrum or device HR (default ppg)
+  --out <prefix>              write <prefix>.json and <prefix>.html (default benchmark-result)
+  --max-mae <bpm>             exit 1 when the overall MAE is above this`);
+        process.exit(args.help ? 0 : 1);
+    }
+
+    const entries = args.manifest
+        ? JSON.parse(fs.readFileSync(args.manifest, 'utf8')).map(e => ({
+            ...e,
+            trace: path.resolve(path.dirname(args.manifest), e.trace),
+            gt: path.resolve(path.dirname(args.manifest), e.gt)
+        }))
+        : [{ trace: args.trace, gt: args.gt, format: args.format }];
+    const video = entries.find(e => VIDEO_EXTENSIONS.test(String(e.trace)));
+    if (video) {
+        console.error(`${video.trace}: ${VIDEO_INPUT_MESSAGE}`);
+        process.exit(1);
+    }
+
+    const options = {};
+    if (args.pipeline) options.pipeline = args.pipeline;
+    if (args['engine-value']) options.engineValue = args['engine-value'];
+    if (args['display-lag']) options.displayLag = +args['display-lag'];
+    if (args.methods) options.methods = String(args.methods).split(',');
+    if (args.window) options.window = +args.window;
+    if (args.step) options.step = +args.step;
+    if (args.offset) options.offset = +args.offset;
+    if (args['gt-source']) options.gtSource = args['gt-source'];
+
+    const result = runBenchmark(entries, options);
+    const out = args.out || 'benchmark-result';
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(out + '.json', JSON.stringify(result, null, 2));
+    fs.writeFileSync(out + '.html', benchmarkReportHTML(result));
+
+    const o = result.overall;
+    console.log(`n=${o.n} coverage=${Math.round((o.coverage || 0) * 100)}% MAE=${o.mae} RMSE=${o.rmse} r=${o.pearson} bias=${o.blandAltman ? o.blandAltman.bias : '--'}`);
+    console.log(`→ ${out}.json, ${out}.html`);
+    if (args['max-mae'] && !(o.mae <= +args['max-mae'])) {
+        console.error(`MAE ${o.mae} exceeds --max-mae ${args['max-mae']}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = {
+    BENCH_DEFAULTS, loadGroundTruth, detectGroundTruthFormat, groundTruthHR,
+    runPipeline, benchmarkStats, runBenchmark, benchmarkReportHTML
+};
@@ -0,0 +1,175 @@
+// ===== rPPG Pro — HRV Biofeedback =====
+// Paced-breathing pacer, live RR coherence at the breathing frequency and a resonance-frequency scan
+// Pure logic: the engine scores coherence from its RR series, the page animates the pacer and saves results
+
+const BIOFEEDBACK_DEFAULTS = {
+    rate: 6,             // breaths/min
+    inhaleRatio: 0.4,    // share of each breath spent inhaling
+    window: 64,          // seconds of RR intervals scored for live coherence
+    minBeats: 20,
+    searchBand: 0.03,    // Hz either side of the paced frequency searched for the peak
+    peakBand: 0.015,     // Hz either side of the peak counted as peak power
+    scanRates: [7, 6.5, 6, 5.5, 5, 4.5],
+    scanStep: 120,       // seconds per scanned rate
+    scanSettle: 20,      // seconds at the start of each rate left out of its result
+    minQuality: 40
+};
+
+const COHERENCE_BAND = [0.04, 0.4]; // Hz; total power the coherence score is relative to
+
+// Score ≥ min, highest first
+const COHERENCE_LEVELS = [
+    { min: 60, label: '高', color: '#34c759' },
+    { min: 30, label: '中', color: '#ff9500' },
+    { min: 0, label: '低', color: '#ff2d55' }
+];
+
+function coherenceLevel(score) {
+    return COHERENCE_LEVELS.find(l => score >= l.min);
+}
+
+/**
+ * Pacer position elapsedMs into the exercise: { phase: 'inhale' | 'exhale', progress (0-1 of the phase),
+ * level (0-1 lung volume, eased), remaining (s left in the phase) }
+ */
+function pacerState(elapsedMs, rate, inhaleRatio = BIOFEEDBACK_DEFAULTS.inhaleRatio) {
+    const period = 60 / rate;
+    const inhale = period * inhaleRatio;
+    const pos = ((elapsedMs / 1000) % period + period) % period;
+    const ease = p => (1 - Math.cos(Math.PI * p)) / 2;
+    if (pos < inhale) {
+        const progress = pos / inhale;
+        return { phase: 'inhale', progress, level: ease(progress), remaining: inhale - pos };
+    }
+    const progress = (pos - inhale) / (period - inhale);
+    return { phase: 'exhale', progress, level: 1 - ease(progress), remaining: period - pos };
+}
+
+function _rrWindow(rr, times, from, to) {
+    const out = { rr: [], times: [] };
+    times.forEach((time, i) => {
+        if (time >= from && time <= to) { out.rr.push(rr[i]); out.times.push(time); }
+    });
+    return out;
+}
+
+/**
+ * Mean peak-to-trough heart rate (BPM) per breath: beats are split into breath-length cycles and
+ * max − min instantaneous HR is averaged over the complete cycles with at least three beats
+ */
+function hrAmplitude(rr, times, rate) {
+    if (rr.length < 3) return null;
+    const cycle = 60000 / rate, t0 = times[0];
+    const cycles = new Map();
+    times.forEach((time, i) => {
+        const k = Math.floor((time - t0) / cycle);
+        if ((k + 1) * cycle > times[times.length - 1] - t0) return; // incomplete last cycle
+        if (!cycles.has(k)) cycles.set(k, []);
+        cycles.get(k).push(60000 / rr[i]);
+    });
+    const swings = [...cycles.values()].filter(c => c.length >= 3).map(c => Math.max(...c) - Math.min(...c));
+    return swings.length ? Math.round(swings.reduce((a, v) => a + v, 0) / swings.length * 10) / 10 : null;
+}
+
+/**
+ * Coherence of the last `window` seconds of RR intervals at a paced breathing rate:
+ * the Lomb-Scargle peak near rate / 60 Hz, score = peak power as % of 0.04-0.4 Hz power,
+ * ratio = peak / (total − peak); null until enough beats
+ */
+function rrCoherence(rr, times, rate, options = {}) {
+    const cfg = { ...BIOFEEDBACK_DEFAULTS, ...options };
+    if (!rr.length) return null;
+    const end = times[times.length - 1];
+    const w = _rrWindow(rr, times, end - cfg.window * 1000, end);
+    const span = (w.times[w.times.length - 1] - w.times[0]) / 1000;
+    if (w.rr.length < cfg.minBeats || span < cfg.window / 2) return null;
+
+    const t = w.times.map(v => (v - w.times[0]) / 1000);
+    const df = 0.002, freqs = [];
+    for (let f = COHERENCE_BAND[0]; f <= COHERENCE_BAND[1]; f += df) freqs.push(f);
+    const psd = lombScargle(t, w.rr, freqs);
+
+    const target = rate / 60;
+    let peak = -1;
+    freqs.forEach((f, i) => {
+        if (Math.abs(f - target) <= cfg.searchBand && (peak < 0 || psd[i] > psd[peak])) peak = i;
+    });
+    if (peak < 0) return null;
+    const peakFreq = freqs[peak];
+    const total = psd.reduce((a, v) => a + v, 0);
+    const peakPower = psd.reduce((a, v, i) => (Math.abs(freqs[i] - peakFreq) <= cfg.peakBand ? a + v : a), 0);
+    if (!(total > 0)) return null;
+    return {
+        score: Math.round(peakPower / total * 100),
+        ratio: total > peakPower ? Math.round(peakPower / (total - peakPower) * 100) / 100 : null,
+        peakFreq: Math.round(peakFreq * 1000) / 1000,
+        peakRate: Math.round(peakFreq * 600) / 10,
+        amplitude: hrAmplitude(w.rr, w.times, rate),
+        beats: w.rr.length
+    };
+}
+
+/**
+ * Resonance-frequency scan as a protocol for createProtocolRun(); each phase paces one rate
+ */
+function resonanceScanProtocol(options = {}) {
+    const cfg = { ...BIOFEEDBACK_DEFAULTS, ...options };
+    return {
+        id: 'resonance', name: '共振頻率掃描', minQuality: cfg.minQuality,
+        phases: cfg.scanRates.map(rate => ({
+            id: 'rate-' + rate, label: `${rate} /min`, rate, duration: cfg.scanStep, prompt: '跟隨節拍器呼吸'
+        }))
+    };
+}
+
+/**
+ * Per-rate HR amplitude and coherence over each scan phase (settling time skipped);
+ * the recommended rate has the largest amplitude, coherence breaking ties
+ * phases: [{ id: 'rate-<n>', start, end }], rrSeries: { rr, times }
+ */
+function analyzeResonanceScan(phases, rrSeries, options = {}) {
+    const cfg = { ...BIOFEEDBACK_DEFAULTS, ...options };
+    const rr = rrSeries || { rr: [], times: [] };
+    const steps = phases.filter(p => p.id.startsWith('rate-')).map(p => {
+        const rate = parseFloat(p.id.slice(5));
+        const end = p.end ?? p.start;
+        const w = _rrWindow(rr.rr, rr.times, p.start + cfg.scanSettle * 1000, end);
+        const seconds = Math.max(0, (end - p.start) / 1000 - cfg.scanSettle);
+        const coherence = rrCoherence(w.rr, w.times, rate, { window: seconds, minBeats: 10 });
+        return {
+            rate,
+            amplitude: hrAmplitude(w.rr, w.times, rate),
+            coherence: coherence ? coherence.score : null,
+            beats: w.rr.length
+        };
+    });
+    const ranked = steps.filter(s => s.amplitude !== null)
+        .sort((a, b) => b.amplitude - a.amplitude || (b.coherence || 0) - (a.coherence || 0));
+    return { steps, bestRate: ranked.length ? ranked[0].rate : null };
+}
+
+/**
+ * Session result from the live coherence log [{ t, rate, score, amplitude }]
+ */
+function summarizeBiofeedback(log) {
+    if (!log.length) return null;
+    const scores = log.map(e => e.score);
+    const amps = log.map(e => e.amplitude).filter(v => v !== null);
+    const rates = new Map();
+    log.forEach(e => rates.set(e.rate, (rates.get(e.rate) || 0) + 1));
+    return {
+        rate: [...rates.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        meanCoherence: Math.round(scores.reduce((a, v) => a + v, 0) / scores.length),
+        maxCoherence: Math.max(...scores),
+        highShare: Math.round(scores.filter(v => v >= COHERENCE_LEVELS[0].min).length / scores.length * 100),
+        meanAmplitude: amps.length ? Math.round(amps.reduce((a, v) => a + v, 0) / amps.length * 10) / 10 : null,
+        samples: log.length
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BIOFEEDBACK_DEFAULTS, COHERENCE_BAND, COHERENCE_LEVELS, coherenceLevel, pacerState, hrAmplitude,
+        rrCoherence, resonanceScanProtocol, analyzeResonanceScan, summarizeBiofeedback
+    };
+}
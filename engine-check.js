@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+// ===== rPPG Pro — Engine Check =====
+// Headless check of the engine contract on a synthetic trace: known pulse and breathing rates in, typed events out
+//
+//   node engine-check.js
+//
+// Runs every expectation and exits 1 if any failed, so it can run after any change to engine.js / signal.js / analysis.js
+
+const assert = require('assert');
+const { createRPPGEngine } = require('./engine.js'); // also exposes signal / analysis / respiration as globals
+
+const CHECK_DEFAULTS = {
+    fps: 30,
+    duration: 90,      // seconds of synthetic signal
+    hr: 72,            // BPM of the synthetic pulse
+    breathRate: 15,    // breaths/min modulating baseline, amplitude and rate
+    hrTolerance: 3,    // BPM
+    breathTolerance: 2 // breaths/min
+};
+
+/**
+ * Synthetic camera samples: pulse with respiratory baseline wander, amplitude and rate modulation,
+ * a face box moving with the breath and a little noise
+ */
+function syntheticSamples(options = {}) {
+    const cfg = { ...CHECK_DEFAULTS, ...options };
+    const samples = [], br = cfg.breathRate / 60;
+    let phase = 0, seed = 1;
+    const noise = () => { seed = (seed * 16807) % 2147483647; return (seed / 2147483647 - 0.5) * 0.05; }; // repeatable
+    for (let i = 0; i < cfg.fps * cfg.duration; i++) {
+        const ts = i / cfg.fps, breath = Math.sin(2 * Math.PI * br * ts);
+        phase += 2 * Math.PI * (cfg.hr + 5 * breath) / 60 / cfg.fps;
+        const p = (Math.sin(phase) * 0.6 + Math.sin(2 * phase) * 0.2) * (1 + 0.25 * breath);
+        const base = 0.4 * breath;
+        samples.push({
+            t: 1e6 + ts * 1000,
+            r: 150 + p * 0.4 + base + noise(), g: 100 + p + base + noise(), b: 80 + p * 0.2 + base + noise(),
+            face: { x: 100, y: 200 + 2 * breath, w: 150, h: 180 }
+        });
+    }
+    return samples;
+}
+
+/**
+ * Run the engine over the synthetic samples → { events: type → payloads, summary }
+ */
+function runEngine(samples, engineOptions = {}) {
+    const engine = createRPPGEngine(engineOptions);
+    const events = {};
+    engine.on('*', ({ type, ...payload }) => (events[type] = events[type] || []).push(payload));
+    samples.forEach(s => engine.push(s));
+    return { events, summary: engine.summary() };
+}
+
+function main() {
+    const cfg = CHECK_DEFAULTS;
+    const { events, summary } = runEngine(syntheticSamples(cfg));
+    const last = type => (events[type] || []).slice(-1)[0];
+    const checks = [
+        ['hr events become ready', () => assert.ok((events.hr || []).some(e => e.ready))],
+        ['heart rate', () => assert.ok(Math.abs(last('hr').bpm - cfg.hr) <= cfg.hrTolerance, `HR ${last('hr').bpm}, expected ${cfg.hr}`)],
+        ['status reaches tracking', () => assert.strictEqual(last('status').code, 'tracking')],
+        ['hrv from the beat series', () => assert.ok(last('hrv') && last('hrv').sdnn > 0 && last('hrv').beats > 20)],
+        ['breathing rate', () => assert.ok(Math.abs(last('breath').value - cfg.breathRate) <= cfg.breathTolerance,
+            `breath ${last('breath').value}, expected ${cfg.breathRate}`)],
+        ['respiration sources', () => assert.ok(last('respiration').used.length >= 2)],
+        ['spo2 in range', () => assert.ok(last('spo2').value >= 85 && last('spo2').value <= 100)],
+        ['summary averages', () => {
+            assert.ok(Math.abs(summary.avgHR - cfg.hr) <= cfg.hrTolerance, `avgHR ${summary.avgHR}`);
+            assert.ok(summary.hrCount > 0 && summary.rrSeries && summary.rrSeries.rr.length > 20);
+        }],
+        ['no motion on a still face', () => assert.strictEqual(summary.motionFraction, 0)]
+    ];
+
+    let failed = 0;
+    checks.forEach(([name, fn]) => {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+        } catch (e) {
+            failed++;
+            console.error(`✗ ${name}: ${e.message}`);
+        }
+    });
+    console.log(`${checks.length - failed}/${checks.length} passed`);
+    if (failed) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { CHECK_DEFAULTS, syntheticSamples, runEngine };
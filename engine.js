@@ -0,0 +1,656 @@
+// ===== rPPG Pro — Analysis Engine =====
+// DOM-free pipeline: RGB samples + timestamps in, typed metric events out
+// Works in the page, in a Worker (importScripts) and under Node (require)
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node: the signal / analysis modules are plain scripts, expose them as globals
+    Object.assign(globalThis, require('./signal.js'), require('./analysis.js'), require('./trace.js'), require('./roi.js'), require('./methods.js'), require('./biofeedback.js'), require('./refsensor.js'), require('./respiration.js'));
+}
+
+const ENGINE_DEFAULTS = {
+    bufferSize: 300,        // analysis window (samples)
+    warmupFrames: 90,       // samples before the first analysis
+    analyzeEvery: 10,       // samples between analyses
+    qualityThreshold: 70,   // quality gate (%) for metric updates
+    minGoodFrames: 5,       // gated analyses before metrics are shown
+    emaAlpha: 0.15,         // display smoothing, low = smoother (0-1)
+    strictLevel: 0,         // pulse harmonic strictness (0/1/2)
+    methods: ['pos', 'chrom'], // rPPG methods to fuse (ids from RPPG_METHODS, 'all' = every method)
+    compareMethods: false,  // also evaluate the unselected methods for the per-method view
+    roiDropScore: 40,       // per-ROI quality below this counts as bad
+    roiDropAfter: 5,        // consecutive bad analyses before an ROI is dropped
+    roiRecoverAfter: 3,     // consecutive good analyses before a dropped ROI returns
+    skinFilter: true,       // average only skin pixels inside each ROI (pushFrame), with a per-session adaptive skin model
+    recordTrace: false,     // keep the whole session's per-frame trace
+    timelineInterval: 5000, // ms between per-session timeline snapshots (HRV, SpO2, breath, quality)
+    pacedRate: 0,           // breaths/min of the biofeedback pacer, 0 = no coherence scoring
+    spo2Calibration: null,  // per-user / per-camera { a, b, min } SpO2 model (spo2cal.js), null = SPO2_DEFAULT_MODEL
+    breathMotion: true,     // fuse vertical face-box motion into the breathing estimate
+    motionThreshold: 0.08,  // frame-to-frame RGB change (share of the mean level) that masks a sample
+    motionFaceShift: 0.05,  // face-box shift + rescale per frame (share of its width) that masks a sample
+    motionMaxFraction: 0.5, // masked share of the window beyond which the analysis is skipped
+    motionRegression: true, // regress face translation / scale out of the RGB traces
+    referenceMaxAge: 3000,  // ms a reference-sensor reading stays current for pairing with an estimate
+    emitWaveform: false     // emit the display waveform after every sample (live chart)
+};
+
+/**
+ * Create an analysis engine
+ *
+ * Events (engine.on(type, fn), '*' receives every event as { type, ...payload }):
+ *   status    { code: 'motion' | 'low-signal' | 'low-quality' | 'accumulating' | 'tracking', score, snr, good, needed }
+ *             'motion' = more than motionMaxFraction of the window masked; shorter movement is bridged, not reported
+ *   quality   { score, raw, snr }                 smoothed quality, emitted whenever the HR is plausible
+ *   hr        { bpm, raw, t, ready, ref }         ready = enough gated analyses to show the value,
+ *             ref = current reference-sensor HR (null without one, see pushReference)
+ *   hrv       { sdnn, rmssd, pnn50, lfHfRatio, lfHfSource, meanRR, freq, beats, corrections }
+ *             time-domain values over the whole session's corrected RR series,
+ *             freq = calculateFrequencyHRV over the same series (null until long enough),
+ *             lfHfSource = 'spectral' when lfHfRatio comes from it, 'proxy' for the SDNN/RMSSD fallback
+ *   nonlinear { sd1, sd2, sd1sd2, sampEn, dfaAlpha1, beats, rr }  calculateNonlinearHRV over the session, rr = recent corrected intervals
+ *   emotion   { state, emoji, color, level }
+ *   spo2      { value, ratio, calibrated }        ratio = smoothed ratio of ratios the value was computed from
+ *   breath    { value }                           smoothed fused breathing rate
+ *   respiration { rate, quality, used, sources: [{ id, rate, quality }], waveform: { source, fs, values } | null }
+ *             per-source breathing rates (RIIV / RIAV / RIFV / motion) and the best source's breathing waveform
+ *   harmonics { data, samples, ready }            pulseHarmonicAnalysis result with smoothed percentages
+ *   stats     { avgHR, maxHR, minHR, avgSpO2, avgBreath }
+ *   metrics   { t, hr, hrv, breath, spo2, quality } smoothed snapshot after each gated analysis
+ *   rois      { rois: [{ label, weight, score, snr, dropped }] }  per-ROI quality and SNR-based fusion weights
+ *   skin      { model, coverage: { label: % } }  adapted skin model (roi.js) and smoothed skin share per ROI (skinFilter, pushFrame only)
+ *   methods   { results: [{ id, name, hr, score, snr, selected }] }  per-method HR / quality of each analysis
+ *   waveform  { samples }                         detrended POS signal for display (emitWaveform only)
+ *   coherence { score, ratio, peakFreq, peakRate, amplitude, beats, rate, t }  rrCoherence at cfg.pacedRate (pacedRate only)
+ */
+function createRPPGEngine(options = {}) {
+    const cfg = { ...ENGINE_DEFAULTS, ...options };
+    const listeners = {};
+    let buf, roiBuf, roiState, s, trace;
+
+    function ema(prev, cur, alpha) { return prev === 0 ? cur : prev + alpha * (cur - prev); }
+
+    function reset(newOptions) {
+        if (newOptions) Object.assign(cfg, newOptions);
+        buf = { r: [], g: [], b: [], t: [], face: { x: [], y: [], w: [] } }; // face: box centre and width per sample, null without one
+        roiBuf = {};    // label → { r, g, b } aligned with buf, null where the ROI was hidden
+        roiState = {};  // label → { score, snr, weight, bad, good, dropped }
+        s = {
+            frameCount: 0, goodFrames: 0, motion: false,
+            motionTime: { total: 0, masked: 0, last: -Infinity }, // ms analysed / motion-corrupted, newest counted sample
+            hrHist: [], allHR: [], hrTimes: [], allSpO2: [], allSpO2Ratio: [], allBreath: [],
+            dispHR: 0, dispHRV: 0, dispQual: 0, dispSpO2: 0, dispSpO2Ratio: 0, dispBreath: 0,
+            timeHRV: null,
+            skin: createSkinModel(), skinCoverage: {}, // adapted to this session's face; coverage: label → smoothed skin share (0-1)
+            lastEmo: null,
+            beats: [], beatGap: false,  // beats: { t (ms, sub-sample), gap: interval before it spans skipped analyses, amp: pulse amplitude }
+            resp: { times: [], raw: [], motion: [] }, // unfiltered trace and face-box centre (px) for respiration
+            rrSeries: null, freqHRV: null, nonlinearHRV: null,
+            harmonicSamples: 0, smoothHarmonics: null, lastConstitution: '',
+            harmonicSeries: { times: [], values: [] }, // smoothed spectrum each time it is ready
+            timeline: { times: [], hr: [], sdnn: [], rmssd: [], spo2: [], breath: [], quality: [] },
+            reference: { hr: { times: [], bpm: [] }, rr: { times: [], rr: [] } } // reference-sensor streams
+        };
+        trace = cfg.recordTrace ? createTrace({ source: cfg.source, sourceName: cfg.sourceName }) : null;
+    }
+
+    function setOptions(partial) {
+        const strictChanged = 'strictLevel' in partial && partial.strictLevel !== cfg.strictLevel;
+        Object.assign(cfg, partial);
+        if (strictChanged) {
+            // Reset harmonic smoothing so the new mode re-evaluates fresh
+            s.harmonicSamples = 0;
+            s.smoothHarmonics = null;
+        }
+    }
+
+    function on(type, fn) {
+        (listeners[type] = listeners[type] || []).push(fn);
+        return () => off(type, fn);
+    }
+
+    function off(type, fn) {
+        if (listeners[type]) listeners[type] = listeners[type].filter(f => f !== fn);
+    }
+
+    function emit(type, payload) {
+        (listeners[type] || []).forEach(fn => fn(payload));
+        if (listeners['*']) listeners['*'].forEach(fn => fn({ type, ...payload }));
+    }
+
+    /**
+     * Add one sample: { t (ms), r, g, b, rois?, face?, yaw? }
+     * Runs an analysis every `analyzeEvery` samples once warmed up
+     */
+    function push(sample) {
+        buf.r.push(sample.r); buf.g.push(sample.g); buf.b.push(sample.b); buf.t.push(sample.t);
+        const face = sample.face && sample.face.w ? sample.face : null;
+        buf.face.x.push(face ? face.x + face.w / 2 : null);
+        buf.face.y.push(face ? face.y + face.h / 2 : null);
+        buf.face.w.push(face ? face.w : null);
+        pushROIs(sample.rois || []);
+        while (buf.g.length > cfg.bufferSize) {
+            buf.r.shift(); buf.g.shift(); buf.b.shift(); buf.t.shift();
+            buf.face.x.shift(); buf.face.y.shift(); buf.face.w.shift();
+            Object.values(roiBuf).forEach(col => { col.r.shift(); col.g.shift(); col.b.shift(); });
+        }
+        if (trace) appendTraceFrame(trace, { ...sample, motion: s.motion });
+        pushRespiration(sample);
+
+        s.frameCount++;
+        if (s.frameCount >= cfg.warmupFrames && s.frameCount % cfg.analyzeEvery === 0) analyze();
+        if (cfg.emitWaveform) emit('waveform', { samples: waveform() });
+    }
+
+    // Only the last respiration window (plus a margin) is kept
+    function pushRespiration(sample) {
+        const resp = s.resp, face = sample.face;
+        resp.times.push(sample.t);
+        resp.raw.push(sample.g);
+        resp.motion.push(face && face.h ? face.y + face.h / 2 : null);
+        while (resp.times[0] < sample.t - (RESPIRATION_DEFAULTS.window + 5) * 1000) {
+            resp.times.shift(); resp.raw.shift(); resp.motion.shift();
+        }
+    }
+
+    function pushROIs(rois) {
+        const n = buf.g.length;
+        rois.forEach(roi => {
+            if (!roiBuf[roi.label]) {
+                const fill = () => new Array(n - 1).fill(null);
+                roiBuf[roi.label] = { r: fill(), g: fill(), b: fill() };
+            }
+            const col = roiBuf[roi.label];
+            col.r.push(roi.r); col.g.push(roi.g); col.b.push(roi.b);
+        });
+        Object.values(roiBuf).forEach(col => {
+            if (col.g.length < n) { col.r.push(null); col.g.push(null); col.b.push(null); }
+        });
+    }
+
+    /**
+     * Score every ROI over the window and set SNR-based weights (linear SNR power);
+     * ROIs that stay below roiDropScore are dropped until they recover
+     */
+    function updateROIWeights(fps) {
+        const labels = Object.keys(roiBuf);
+        if (!labels.length) return;
+        const methods = getRPPGMethods(cfg.methods);
+        labels.forEach(label => {
+            const col = roiBuf[label];
+            const st = roiState[label] || (roiState[label] = { score: 0, snr: 0, weight: 0, bad: 0, good: 0, dropped: false });
+            // Score only ROIs visible for most of the window; short hidden stretches are held
+            const seen = col.g.filter(v => v !== null).length;
+            if (seen < col.g.length * 0.9) { st.score = 0; st.snr = 0; st.visible = false; return; }
+            st.visible = true;
+            const q = fusedHeartRate(holdNulls(col.r), holdNulls(col.g), holdNulls(col.b), fps, methods).quality;
+            st.score = q.score; st.snr = q.snr;
+            if (q.score < cfg.roiDropScore) { st.bad++; st.good = 0; } else { st.good++; st.bad = 0; }
+            if (st.bad >= cfg.roiDropAfter) st.dropped = true;
+            if (st.dropped && st.good >= cfg.roiRecoverAfter) st.dropped = false;
+        });
+
+        labels.forEach(label => {
+            const st = roiState[label];
+            st.weight = st.visible && !st.dropped ? Math.pow(10, st.snr / 10) : 0;
+        });
+        let total = labels.reduce((sum, label) => sum + roiState[label].weight, 0);
+        if (total === 0) {
+            // Never drop everything: fall back to the best-scoring visible ROI
+            const best = labels.filter(l => roiState[l].visible).sort((a, b) => roiState[b].score - roiState[a].score)[0];
+            if (best) { roiState[best].weight = 1; total = 1; }
+        }
+        labels.forEach(label => { if (total > 0) roiState[label].weight /= total; });
+
+        emit('rois', {
+            rois: labels.map(label => {
+                const st = roiState[label];
+                return { label, weight: Math.round(st.weight * 100) / 100, score: st.score, snr: st.snr, dropped: st.dropped };
+            })
+        });
+    }
+
+    // Nulls replaced by the previous value (the first value before it)
+    function holdNulls(ch) {
+        let last = ch.find(v => v !== null);
+        return ch.map(v => (v === null ? last : (last = v)));
+    }
+
+    /**
+     * Analysis buffers: ROIs mixed by their current weights (each normalized to its own mean so
+     * an ROI appearing or vanishing does not step the signal), the pushed fused sample otherwise
+     */
+    function weightedBuffers() {
+        const labels = Object.keys(roiBuf).filter(l => roiState[l] && roiState[l].weight > 0);
+        if (!labels.length) return buf;
+        const n = buf.g.length;
+        const mean = ch => { let sum = 0, c = 0; ch.forEach(v => { if (v !== null) { sum += v; c++; } }); return c ? sum / c : 0; };
+        const out = { t: buf.t };
+        ['r', 'g', 'b'].forEach(c => {
+            const level = mean(buf[c]) || 1;
+            const means = labels.map(l => mean(roiBuf[l][c]) || 1);
+            out[c] = new Array(n);
+            for (let i = 0; i < n; i++) {
+                let acc = 0, wsum = 0;
+                labels.forEach((l, k) => {
+                    const v = roiBuf[l][c][i];
+                    if (v !== null) { acc += roiState[l].weight * v / means[k]; wsum += roiState[l].weight; }
+                });
+                out[c][i] = wsum > 0 ? acc / wsum * level : buf[c][i];
+            }
+        });
+        return out;
+    }
+
+    /**
+     * Add one video frame: { t, pixels (RGBA), width, height, rois: [{ x, y, w, h, label }], face?, yaw? }
+     * ROI rectangles are relative to the pixel buffer
+     */
+    function pushFrame(frame) {
+        const sample = sampleROIs(frame.pixels, frame.width, frame.rois, cfg.skinFilter ? s.skin : null);
+        if (cfg.skinFilter) {
+            updateSkinModel(s.skin, sample.rois.map(roi => roi.stats));
+            sample.rois.forEach(roi => {
+                const prev = s.skinCoverage[roi.label];
+                s.skinCoverage[roi.label] = prev === undefined ? roi.coverage : ema(prev, roi.coverage, 0.1);
+            });
+        }
+        push({ t: frame.t, ...sample, face: frame.face, yaw: frame.yaw });
+    }
+
+    /**
+     * Add a reference-sensor reading: { t, hr, rr (ms), rrTimes } on the same clock as the samples
+     */
+    function pushReference(reading) {
+        const ref = s.reference;
+        ref.hr.times.push(reading.t);
+        ref.hr.bpm.push(reading.hr);
+        (reading.rr || []).forEach((v, i) => {
+            const time = reading.rrTimes[i];
+            if (ref.rr.times.length && time <= ref.rr.times[ref.rr.times.length - 1]) return; // resent interval
+            ref.rr.times.push(time);
+            ref.rr.rr.push(v);
+        });
+    }
+
+    // Latest reference HR at most referenceMaxAge old at `time`, null otherwise
+    function referenceAt(time) {
+        const { times, bpm } = s.reference.hr;
+        const i = times.length - 1;
+        return i >= 0 && time - times[i] <= cfg.referenceMaxAge ? bpm[i] : null;
+    }
+
+    /**
+     * Detrended pulse signal of the first selected method (raw green until there is enough data)
+     */
+    function waveform() {
+        const { r, g, b, t } = weightedBuffers();
+        if (g.length > 30) {
+            const compensated = compensateAmbientLight(r, g, b);
+            const pulse = getRPPGMethods(cfg.methods)[0].extract(compensated.r, compensated.g, compensated.b, estimateFPS(t));
+            return detrendSignal(pulse, 30);
+        }
+        return detrendSignal(g, 30);
+    }
+
+    function analyze() {
+        if (buf.g.length < cfg.warmupFrames) return;
+        const fps = estimateFPS(buf.t);
+        updateROIWeights(fps);
+        if (cfg.skinFilter && Object.keys(s.skinCoverage).length) {
+            emit('skin', {
+                model: { ...s.skin },
+                coverage: Object.fromEntries(Object.entries(s.skinCoverage).map(([label, c]) => [label, Math.round(c * 100)]))
+            });
+        }
+        const { r, g, b, t, mask, fraction } = motionCorrected(weightedBuffers());
+
+        // Motion is masked per sample; only a window that is mostly movement is skipped
+        const skipped = fraction > cfg.motionMaxFraction;
+        countMotion(t, mask, skipped);
+        s.motion = mask[mask.length - 1];
+        if (skipped) {
+            s.beatGap = true;
+            snapshotTimeline(t[t.length - 1], 0);
+            emit('status', { code: 'motion' });
+            return;
+        }
+
+        // Fused selected methods (default POS+CHROM) with ambient light compensation
+        const methods = getRPPGMethods(cfg.methods);
+        const fused = fusedHeartRate(r, g, b, fps, methods);
+        const hr = fused.hr;
+        const filtered = fused.filtered;
+        const quality = fused.quality;
+        emitMethods(fused.methods, r, g, b, fps);
+        snapshotTimeline(t[t.length - 1], quality.score);
+
+        // Signal quality gating — reject bad frames
+        if (!quality.usable) {
+            s.beatGap = true;
+            emit('status', { code: 'low-signal', score: quality.score, snr: quality.snr });
+            return;
+        }
+        if (!(hr > 40 && hr < 200)) { s.beatGap = true; return; }
+
+        // Signal quality always reported
+        s.dispQual = ema(s.dispQual, quality.score, cfg.emaAlpha);
+        emit('quality', { score: s.dispQual, raw: quality.score, snr: quality.snr });
+
+        // --- Quality Gate: only update metrics when signal is trustworthy ---
+        if (quality.score < cfg.qualityThreshold) {
+            // Freeze all metrics at last known good values
+            s.beatGap = true;
+            emit('status', { code: 'low-quality', score: quality.score, snr: quality.snr });
+            return;
+        }
+        s.goodFrames++;
+        const ready = s.goodFrames >= cfg.minGoodFrames;
+
+        // HR (IQR + EMA smoothed)
+        s.hrHist.push(hr); if (s.hrHist.length > 30) s.hrHist.shift();
+        const cleanedHR = rejectOutliersIQR(s.hrHist);
+        const avgHR = cleanedHR.length > 0 ? cleanedHR.reduce((a, v) => a + v) / cleanedHR.length : hr;
+        s.dispHR = ema(s.dispHR, avgHR, cfg.emaAlpha);
+        const showHR = Math.round(s.dispHR);
+        s.allHR.push(showHR);
+        s.hrTimes.push(t[t.length - 1]);
+        emit('hr', { bpm: showHR, raw: hr, t: t[t.length - 1], ready, ref: referenceAt(t[t.length - 1]) });
+
+        // Continuous beat stream: sub-sample peak times on the real timestamps,
+        // only peaks newer than the last stored beat and away from the window edge
+        const peaks = findPeaksAdaptive(filtered, fps);
+        peaks.forEach(p => {
+            if (p >= filtered.length - 3) return;
+            const bt = interpolatePeakTime(filtered, t, p);
+            const last = s.beats.length ? s.beats[s.beats.length - 1].t : -Infinity;
+            if (bt - last > 300) {
+                if (mask[p]) return; // peak inside a bridged (interpolated) stretch
+                const bridged = t.some((time, i) => mask[i] && time > last && time < bt);
+                const foot = Math.min(...filtered.slice(Math.max(0, p - Math.round(fps * 0.5)), p + 1));
+                s.beats.push({ t: bt, gap: s.beatGap || bridged, amp: filtered[p] - foot });
+                s.beatGap = false;
+            }
+        });
+
+        // HRV on the accumulated, corrected RR series
+        s.rrSeries = correctedBeatSeries();
+        if (ready && s.frameCount % 50 === 0) {
+            s.freqHRV = calculateFrequencyHRV(s.rrSeries.rr, s.rrSeries.times);
+            s.nonlinearHRV = calculateNonlinearHRV(s.rrSeries.rr);
+            if (s.nonlinearHRV) emit('nonlinear', { ...s.nonlinearHRV, rr: s.rrSeries.rr.slice(-300) });
+        }
+
+        if (s.rrSeries.rr.length >= 3) {
+            const hrv = calculateHRVMetrics(s.rrSeries.rr);
+            if (hrv && ready) {
+                s.timeHRV = hrv;
+                s.dispHRV = hrv.sdnn;
+                const shown = {
+                    ...hrv, ...lfHf(), freq: s.freqHRV,
+                    beats: s.rrSeries.rr.length, corrections: s.rrSeries.corrections
+                };
+                emit('hrv', shown);
+
+                if (!s.lastEmo || s.frameCount % 50 === 0) {
+                    s.lastEmo = analyzeEmotionalState(shown, showHR);
+                    emit('emotion', s.lastEmo);
+                }
+            }
+        }
+
+        // Paced-breathing coherence over the recent RR intervals (biofeedback mode)
+        if (cfg.pacedRate && ready && s.frameCount % 30 === 0) {
+            const coherence = rrCoherence(s.rrSeries.rr, s.rrSeries.times, cfg.pacedRate);
+            if (coherence) emit('coherence', { ...coherence, rate: cfg.pacedRate, t: t[t.length - 1] });
+        }
+
+        if (ready) {
+            // SpO2 (quality-gated + smoothed)
+            const ratio = spo2Ratio(r, b);
+            if (ratio !== null) {
+                const spo2 = spo2FromRatio(ratio, cfg.spo2Calibration || SPO2_DEFAULT_MODEL);
+                s.dispSpO2 = ema(s.dispSpO2, spo2, cfg.emaAlpha);
+                s.dispSpO2Ratio = ema(s.dispSpO2Ratio, ratio, cfg.emaAlpha);
+                s.allSpO2.push(Math.round(s.dispSpO2));
+                s.allSpO2Ratio.push(s.dispSpO2Ratio);
+                emit('spo2', {
+                    value: Math.round(s.dispSpO2), ratio: Math.round(s.dispSpO2Ratio * 1000) / 1000, calibrated: !!cfg.spo2Calibration
+                });
+            }
+
+            // Breathing rate (quality-gated + smoothed); the pulse band-pass removes the respiratory band,
+            // so it comes from the unfiltered trace and beat-level modulations instead of `filtered`
+            if (s.frameCount % 30 === 0) {
+                const resp = respiration();
+                if (resp.rate !== null) {
+                    s.dispBreath = ema(s.dispBreath, resp.rate, cfg.emaAlpha);
+                    s.allBreath.push(Math.round(s.dispBreath));
+                    emit('breath', { value: Math.round(s.dispBreath) });
+                }
+                emit('respiration', resp);
+            }
+        }
+
+        emit('stats', stats());
+        emit('metrics', {
+            t: t[t.length - 1], hr: s.dispHR, hrv: s.dispHRV, breath: s.dispBreath,
+            spo2: s.dispSpO2, quality: s.dispQual
+        });
+
+        // Pulse Harmonic Analysis (脈診) — quality-gated + accumulated smoothing
+        if (s.frameCount % 50 === 0 && quality.score >= 40) {
+            const harmonicData = pulseHarmonicAnalysis(filtered, fps, cfg.strictLevel);
+            if (harmonicData) {
+                s.harmonicSamples++;
+                if (!s.smoothHarmonics) s.smoothHarmonics = new Array(11).fill(0);
+                const alpha = s.harmonicSamples < 3 ? 0.5 : 0.08;
+                harmonicData.harmonics.forEach((h, i) => {
+                    s.smoothHarmonics[i] = s.smoothHarmonics[i] === 0
+                        ? h.percentage : ema(s.smoothHarmonics[i], h.percentage, alpha);
+                    h.percentage = s.smoothHarmonics[i];
+                });
+                const harmonicsReady = s.harmonicSamples >= 3;
+                if (harmonicsReady) {
+                    s.lastConstitution = harmonicData.constitution;
+                    s.harmonicSeries.times.push(t[t.length - 1]);
+                    s.harmonicSeries.values.push(Array.from(s.smoothHarmonics));
+                }
+                emit('harmonics', { data: harmonicData, samples: s.harmonicSamples, ready: harmonicsReady });
+            }
+        }
+
+        if (!ready) {
+            emit('status', { code: 'accumulating', good: s.goodFrames, needed: cfg.minGoodFrames });
+        } else {
+            emit('status', { code: 'tracking', score: Math.round(quality.score), snr: quality.snr });
+        }
+    }
+
+    /**
+     * Motion handling on the analysis window: samples with RGB or face-box jumps are masked and bridged
+     * by interpolation, then face translation / scale are regressed out of each channel
+     * → { r, g, b, t, mask, fraction (masked share of the window) }
+     */
+    function motionCorrected({ r, g, b, t }) {
+        const face = buf.face.w.some(v => v !== null) ? buf.face : null;
+        const mask = motionMask(r, g, b, face && { x: buf.face.x, y: buf.face.y, w: buf.face.w }, {
+            threshold: cfg.motionThreshold, faceShift: cfg.motionFaceShift
+        });
+        const masked = mask.filter(Boolean).length;
+        const regressors = face && cfg.motionRegression
+            ? ['x', 'y', 'w'].map(k => interpolateMasked(holdNulls(face[k]), mask)) : [];
+        const clean = ch => {
+            const bridged = masked ? interpolateMasked(ch, mask) : ch;
+            return regressors.length ? regressOutSignals(bridged, regressors) : bridged;
+        };
+        return { r: clean(r), g: clean(g), b: clean(b), t, mask, fraction: masked / mask.length };
+    }
+
+    // Session motion time: each sample is counted once, at the first analysis that sees it
+    function countMotion(t, mask, skipped) {
+        const mt = s.motionTime;
+        for (let i = 1; i < t.length; i++) {
+            if (t[i] <= mt.last) continue;
+            const dt = t[i] - t[i - 1];
+            mt.total += dt;
+            if (skipped || mask[i]) mt.masked += dt;
+        }
+        mt.last = t[t.length - 1];
+    }
+
+    /**
+     * Fused breathing rate over the respiration window and the best source's waveform (unit variance)
+     */
+    function respiration() {
+        const beats = s.beats.filter(b => b.amp !== undefined);
+        const sources = respirationSources({
+            raw: { times: s.resp.times, values: s.resp.raw },
+            beats: { times: beats.map(b => b.t), amp: beats.map(b => b.amp) },
+            rr: s.rrSeries,
+            motion: { times: s.resp.times, values: s.resp.motion }
+        }, { motion: cfg.breathMotion });
+        const fused = fuseRespiration(sources);
+        const best = sources.filter(src => !fused || fused.used.includes(src.id))
+            .reduce((a, src) => (!a || src.quality > a.quality ? src : a), null);
+        let waveform = null;
+        if (best) {
+            const sd = Math.sqrt(best.values.reduce((a, v) => a + v * v, 0) / best.values.length) || 1;
+            waveform = { source: best.id, fs: RESPIRATION_DEFAULTS.fs, values: best.values.map(v => Math.round(v / sd * 100) / 100) };
+        }
+        return {
+            rate: fused ? fused.rate : null, quality: fused ? fused.quality : 0, used: fused ? fused.used : [],
+            sources: sources.map(src => ({ id: src.id, rate: src.rate, quality: src.quality })),
+            waveform
+        };
+    }
+
+    /**
+     * Per-method HR / quality; with compareMethods the unselected methods are evaluated too
+     */
+    function emitMethods(selected, r, g, b, fps) {
+        const results = selected.map(m => ({ ...m, selected: true }));
+        if (cfg.compareMethods) {
+            const c = compensateAmbientLight(r, g, b);
+            Object.values(RPPG_METHODS).forEach(m => {
+                if (!results.some(x => x.id === m.id)) results.push({ ...evaluatePulseMethod(m, c.r, c.g, c.b, fps), selected: false });
+            });
+        }
+        emit('methods', {
+            results: results.map(m => ({
+                id: m.id, name: RPPG_METHODS[m.id] ? RPPG_METHODS[m.id].name : m.id,
+                hr: Math.round(m.hr), score: m.quality.score, snr: m.quality.snr, selected: m.selected
+            }))
+        });
+    }
+
+    /**
+     * RR series over every stored beat: split into continuous segments at gaps,
+     * each segment corrected with correctRRSeries (intervals across gaps are dropped)
+     * times = timestamp (ms) of the beat closing each interval
+     */
+    function correctedBeatSeries() {
+        const out = { rr: [], times: [], corrections: { missed: 0, extra: 0, ectopic: 0, artifact: 0 } };
+        let seg = [];
+        const flush = () => {
+            if (seg.length >= 4) {
+                const rr = [], times = [];
+                for (let i = 1; i < seg.length; i++) { rr.push(seg[i] - seg[i - 1]); times.push(seg[i]); }
+                const c = correctRRSeries(rr, times);
+                c.rr.forEach((v, i) => { out.rr.push(v); out.times.push(c.times[i]); });
+                Object.keys(out.corrections).forEach(k => { out.corrections[k] += c.corrections[k]; });
+            }
+            seg = [];
+        };
+        s.beats.forEach(beat => {
+            if (beat.gap || (seg.length && beat.t - seg[seg.length - 1] > 3000)) flush();
+            seg.push(beat.t);
+        });
+        flush();
+        return out;
+    }
+
+    /**
+     * Per-session timeline: latest displayed metrics every timelineInterval ms
+     * Quality is the raw score of that analysis (0 while moving) so gated periods stay visible
+     */
+    function snapshotTimeline(time, qualityScore) {
+        const tl = s.timeline;
+        if (tl.times.length && time - tl.times[tl.times.length - 1] < cfg.timelineInterval) return;
+        const shown = v => (v > 0 ? Math.round(v) : null);
+        tl.times.push(time);
+        tl.hr.push(shown(s.dispHR));
+        tl.sdnn.push(s.timeHRV ? s.timeHRV.sdnn : null);
+        tl.rmssd.push(s.timeHRV ? s.timeHRV.rmssd : null);
+        tl.spo2.push(shown(s.dispSpO2));
+        tl.breath.push(shown(s.dispBreath));
+        tl.quality.push(Math.round(qualityScore));
+    }
+
+    /**
+     * Spectral LF/HF when available, otherwise the smoothed time-domain proxy
+     */
+    function lfHf() {
+        if (s.freqHRV && s.freqHRV.lfHfRatio !== null) return { lfHfRatio: s.freqHRV.lfHfRatio, lfHfSource: 'spectral' };
+        return { lfHfRatio: s.timeHRV ? s.timeHRV.lfHfRatio : null, lfHfSource: 'proxy' };
+    }
+
+    function stats() {
+        const avg = arr => arr.length ? Math.round(arr.reduce((a, v) => a + v) / arr.length) : null;
+        return {
+            avgHR: avg(s.allHR),
+            maxHR: s.allHR.length ? Math.max(...s.allHR) : null,
+            minHR: s.allHR.length ? Math.min(...s.allHR) : null,
+            avgSpO2: avg(s.allSpO2),
+            avgBreath: avg(s.allBreath)
+        };
+    }
+
+    /**
+     * Session aggregates in the shape saveSession() expects
+     */
+    function summary() {
+        const series = correctedBeatSeries();
+        const ref = s.reference, hrSeries = s.allHR.length ? { times: s.hrTimes.slice(), bpm: s.allHR.slice() } : null;
+        s.freqHRV = calculateFrequencyHRV(series.rr, series.times) || s.freqHRV;
+        s.nonlinearHRV = calculateNonlinearHRV(series.rr) || s.nonlinearHRV;
+        return {
+            ...stats(),
+            hrCount: s.allHR.length,
+            avgHRV: s.dispHRV > 0 ? Math.round(s.dispHRV) : null,
+            avgSpO2Ratio: s.allSpO2Ratio.length
+                ? Math.round(s.allSpO2Ratio.reduce((a, v) => a + v, 0) / s.allSpO2Ratio.length * 1000) / 1000 : null,
+            avgRMSSD: s.timeHRV ? s.timeHRV.rmssd : null,
+            ...lfHf(),
+            freqHRV: s.freqHRV,
+            nonlinearHRV: s.nonlinearHRV,
+            rrSeries: series.rr.length ? series : null,
+            qualityScore: Math.round(s.dispQual),
+            motionFraction: s.motionTime.total ? Math.round(s.motionTime.masked / s.motionTime.total * 1000) / 1000 : null,
+            constitution: s.lastConstitution,
+            emotion: s.lastEmo ? s.lastEmo.state : '',
+            method: getRPPGMethods(cfg.methods).map(m => m.id).join('+'),
+            harmonics: s.smoothHarmonics ? Array.from(s.smoothHarmonics) : null,
+            hrSeries,
+            referenceSeries: ref.hr.times.length
+                ? { hr: { times: ref.hr.times.slice(), bpm: ref.hr.bpm.slice() }, rr: { times: ref.rr.times.slice(), rr: ref.rr.rr.slice() } } : null,
+            referenceAgreement: hrAgreement(pairReferenceHR(hrSeries, ref.hr.times.length ? ref.hr : null, cfg.referenceMaxAge)),
+            harmonicSeries: s.harmonicSeries.times.length
+                ? { times: s.harmonicSeries.times.slice(), values: s.harmonicSeries.values.map(v => v.slice()) } : null,
+            timeline: s.timeline.times.length
+                ? Object.fromEntries(Object.entries(s.timeline).map(([k, v]) => [k, v.slice()])) : null
+        };
+    }
+
+    reset();
+
+    return {
+        on, off, push, pushFrame, pushReference, analyze, reset, setOptions, summary, waveform,
+        getBuffers: () => buf,
+        getTrace: () => trace,
+        get options() { return { ...cfg }; }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createRPPGEngine, ENGINE_DEFAULTS };
+}
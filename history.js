@@ -1,4 +1,4 @@
-// ===== rPPG Pro — 純前端歷史記錄模組 (localStorage) =====
+// ===== rPPG Pro — 純前端歷史記錄模組 (IndexedDB) =====
 
 function getCurrentUser() {
     return localStorage.getItem('rppg_current_user') || 'default';
@@ -8,42 +8,133 @@ function setCurrentUser(userId) {
     localStorage.setItem('rppg_current_user', userId);
 }
 
-// ===== Sessions (localStorage) =====
-function _getSessionsStore() {
-    try {
-        return JSON.parse(localStorage.getItem('rppg_sessions') || '[]');
-    } catch { return []; }
+// ===== Database (IndexedDB) =====
+// sessions: one record per measurement, indexed by user and timestamp
+// series:   per-session time series (HR trend, RR, harmonics, timeline, stress phases), loaded only on demand
+// users:    local profiles keyed by username
+const HISTORY_DB_NAME = 'rppg-pro';
+const HISTORY_DB_VERSION = 1;
+const LEGACY_MIGRATED_KEY = 'rppg_idb_migrated';
+let _dbPromise = null;
+
+function _openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('user_id', 'user_id');
+            sessions.createIndex('timestamp', 'timestamp');
+            sessions.createIndex('user_time', ['user_id', 'timestamp']);
+            db.createObjectStore('series', { keyPath: 'id' });
+            db.createObjectStore('users', { keyPath: 'username' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }).then(async db => {
+        await _migrateLegacyStorage(db);
+        return db;
+    });
+    _dbPromise.catch(() => { _dbPromise = null; }); // allow a retry after a failed open
+    return _dbPromise;
+}
+
+/**
+ * Run fn(tx) in one transaction; resolves with fn's return value
+ * (an IDBRequest resolves to its result) once the transaction commits
+ */
+function _tx(storeNames, mode, fn, db) {
+    return (db ? Promise.resolve(db) : _openDB()).then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const out = fn(tx);
+        tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    }));
 }
 
-function _saveSessionsStore(sessions) {
-    localStorage.setItem('rppg_sessions', JSON.stringify(sessions));
+// One-time copy of the old localStorage blobs (rppg_sessions / rppg_series / rppg_users)
+async function _migrateLegacyStorage(db) {
+    if (localStorage.getItem(LEGACY_MIGRATED_KEY)) return;
+    const read = (key, fallback) => {
+        try { return JSON.parse(localStorage.getItem(key)) || fallback; } catch { return fallback; }
+    };
+    const list = v => (Array.isArray(v) ? v : []);
+    const isKey = v => typeof v === 'string' && v.length > 0;
+    // A malformed record would abort the whole transaction (and every later open), so copy only keyed ones
+    const sessions = list(read('rppg_sessions', [])).filter(s => s && isKey(s.id));
+    const users = list(read('rppg_users', [])).filter(u => u && isKey(u.username));
+    const series = read('rppg_series', {});
+    await _tx(['sessions', 'series', 'users'], 'readwrite', tx => {
+        sessions.forEach(session => tx.objectStore('sessions').put(session));
+        Object.entries(series && typeof series === 'object' ? series : {}).forEach(([id, entry]) => {
+            if (entry && typeof entry === 'object') tx.objectStore('series').put({ ...entry, id });
+        });
+        users.forEach(user => tx.objectStore('users').put(user));
+    }, db);
+    localStorage.setItem(LEGACY_MIGRATED_KEY, new Date().toISOString());
+    ['rppg_sessions', 'rppg_series', 'rppg_users'].forEach(key => localStorage.removeItem(key));
+}
+
+// ===== Sessions =====
+/**
+ * Session record in the stored shape, from an engine summary plus page fields
+ */
+function buildSessionRecord(sessionData, id = null) {
+    return {
+        id,
+        type: sessionData.type || 'measurement', // measurement | stress | biofeedback
+        user_id: sessionData.userId || getCurrentUser(), // multi-person tracks may target another user
+        timestamp: sessionData.timestamp || new Date().toISOString(),
+        duration: sessionData.duration || 0,
+        avg_hr: sessionData.avgHR || null,
+        max_hr: sessionData.maxHR || null,
+        min_hr: sessionData.minHR || null,
+        avg_hrv: sessionData.avgHRV || null,
+        avg_rmssd: sessionData.avgRMSSD || null,
+        lf_hf_ratio: sessionData.lfHfRatio ?? null,
+        lf_hf_source: sessionData.lfHfSource || '', // spectral | proxy
+        freq_hrv: sessionData.freqHRV || null,      // { vlf, lf, hf, totalPower, lfNu, hfNu, lfHfRatio, duration, beats }
+        nonlinear_hrv: sessionData.nonlinearHRV || null, // { sd1, sd2, sd1sd2, sampEn, dfaAlpha1, beats }
+        rr_count: sessionData.rrSeries ? sessionData.rrSeries.rr.length : 0,
+        rr_corrections: sessionData.rrSeries ? sessionData.rrSeries.corrections : null,
+        avg_spo2: sessionData.avgSpO2 || null,
+        avg_spo2_ratio: sessionData.avgSpO2Ratio || null, // camera ratio of ratios behind avg_spo2
+        spo2_calibration: sessionData.spo2Calibration || null, // { camera, mode, n, residualSD, confidence } when calibrated
+        avg_breath: sessionData.avgBreath || null,
+        quality_score: sessionData.qualityScore || 0,
+        motion_fraction: sessionData.motionFraction ?? null, // share of analysed time masked as motion-corrupted (0-1)
+        constitution: sessionData.constitution || '',
+        constitution_emoji: sessionData.constitutionEmoji || '',
+        emotion: sessionData.emotion || '',
+        harmonics: sessionData.harmonics || null,
+        method: sessionData.method || 'pos+chrom',  // fused rPPG method ids
+        source: sessionData.source || 'camera', // camera | replay | trace
+        source_name: sessionData.sourceName || '',
+        protocol: sessionData.protocol || null,  // { id, name, completed, phases: [{ label, duration, hr, sdnn, … }], orthostatic }
+        stress_test: sessionData.stressTest || null, // { task, config, metrics: [{ key, baseline, reactivity, recoverySeconds, auc, … }], performance, peakScore }
+        biofeedback: sessionData.biofeedback || null, // { rate, meanCoherence, maxCoherence, highShare, meanAmplitude, resonance: { steps, bestRate } }
+        reference: sessionData.referenceAgreement // camera vs reference sensor: { device, n, bias, sd, loaLow, loaHigh, mae, rmse }
+            ? { device: sessionData.referenceDevice || '', ...sessionData.referenceAgreement } : null
+    };
 }
 
+// Generated ids: UTC yyyymmddhhmmss + '_' + base-36 suffix (also keys the series store)
+const SESSION_ID_PATTERN = /^\d{14}_[0-9a-z]{1,8}$/;
+
 async function saveSession(sessionData) {
     try {
         const id = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14) + '_' + Math.random().toString(36).slice(2, 8);
-        const session = {
-            id,
-            user_id: getCurrentUser(),
-            timestamp: sessionData.timestamp || new Date().toISOString(),
-            duration: sessionData.duration || 0,
-            avg_hr: sessionData.avgHR || null,
-            max_hr: sessionData.maxHR || null,
-            min_hr: sessionData.minHR || null,
-            avg_hrv: sessionData.avgHRV || null,
-            avg_spo2: sessionData.avgSpO2 || null,
-            avg_breath: sessionData.avgBreath || null,
-            quality_score: sessionData.qualityScore || 0,
-            constitution: sessionData.constitution || '',
-            constitution_emoji: sessionData.constitutionEmoji || '',
-            emotion: sessionData.emotion || '',
-            harmonics: sessionData.harmonics || null
-        };
-        const sessions = _getSessionsStore();
-        sessions.unshift(session); // newest first
-        // Keep max 500 sessions to avoid localStorage overflow
-        if (sessions.length > 500) sessions.length = 500;
-        _saveSessionsStore(sessions);
+        const session = buildSessionRecord(sessionData, id);
+        await _tx('sessions', 'readwrite', tx => tx.objectStore('sessions').put(session));
+        await saveSessionSeries(id, {
+            rr: sessionData.rrSeries,
+            hr: sessionData.hrSeries,
+            harmonics: sessionData.harmonicSeries,
+            timeline: sessionData.timeline,
+            stress: sessionData.stressPhases,
+            reference: sessionData.referenceSeries
+        });
         console.log('✅ Session saved:', id);
         return { id, status: 'saved' };
     } catch (e) {
@@ -52,46 +143,150 @@ async function saveSession(sessionData) {
     }
 }
 
-async function getSessions(limit = 100) {
-    const userId = getCurrentUser();
-    const sessions = _getSessionsStore()
-        .filter(s => s.user_id === userId)
-        .slice(0, limit);
-    return sessions;
+/**
+ * Newest-first sessions of a user (default: the current one)
+ */
+async function getSessions(limit = 100, userId = getCurrentUser()) {
+    return _tx('sessions', 'readonly', tx => {
+        const out = [];
+        const range = IDBKeyRange.bound([userId, ''], [userId, '\uffff']);
+        const req = tx.objectStore('sessions').index('user_time').openCursor(range, 'prev');
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor || out.length >= limit) return;
+            out.push(cursor.value);
+            cursor.continue();
+        };
+        return out;
+    });
+}
+
+async function getSession(id) {
+    return (await _tx('sessions', 'readonly', tx => tx.objectStore('sessions').get(id))) || null;
 }
 
 async function deleteSession(id) {
-    const sessions = _getSessionsStore().filter(s => s.id !== id);
-    _saveSessionsStore(sessions);
+    await _tx(['sessions', 'series'], 'readwrite', tx => {
+        tx.objectStore('sessions').delete(id);
+        tx.objectStore('series').delete(id);
+    });
     return { status: 'deleted' };
 }
 
 async function clearAllSessions() {
-    const userId = getCurrentUser();
-    const sessions = _getSessionsStore().filter(s => s.user_id !== userId);
-    _saveSessionsStore(sessions);
+    const ids = (await getSessions(Infinity)).map(s => s.id);
+    await _tx(['sessions', 'series'], 'readwrite', tx => {
+        ids.forEach(id => {
+            tx.objectStore('sessions').delete(id);
+            tx.objectStore('series').delete(id);
+        });
+    });
     return { status: 'cleared' };
 }
 
-// ===== Users (localStorage) =====
-function _getUsersStore() {
+// ===== Per-session series =====
+// Kept out of the session records so the history list stays small to load
+// Stored compactly: sample times as integer ms offsets from t0
+function _packTimes(times) {
+    const t0 = times.length ? Math.round(times[0]) : 0;
+    return { t0, t: times.map(v => Math.round(v - t0)) };
+}
+
+function _unpackTimes(entry) {
+    return entry.t.map(v => v + entry.t0);
+}
+
+async function saveSessionSeries(id, series) {
+    const entry = { id };
+    if (series.rr) {
+        entry.rr = {
+            ..._packTimes(series.rr.times),
+            rr: series.rr.rr.map(v => Math.round(v * 10) / 10),
+            corrections: series.rr.corrections
+        };
+    }
+    if (series.hr) entry.hr = { ..._packTimes(series.hr.times), bpm: series.hr.bpm };
+    if (series.harmonics) {
+        entry.harmonics = {
+            ..._packTimes(series.harmonics.times),
+            values: series.harmonics.values.map(v => v.map(p => Math.round(p * 10) / 10))
+        };
+    }
+    if (series.timeline) {
+        const { times, ...columns } = series.timeline;
+        entry.timeline = { ..._packTimes(times), ...columns };
+    }
+    if (series.stress && series.stress.length) entry.stress = series.stress; // [{ phase, start, end, ... }]
+    if (series.reference) {
+        entry.reference = {
+            hr: { ..._packTimes(series.reference.hr.times), bpm: series.reference.hr.bpm },
+            rr: { ..._packTimes(series.reference.rr.times), rr: series.reference.rr.rr.map(v => Math.round(v * 10) / 10) }
+        };
+    }
+    if (Object.keys(entry).length === 1) return false;
     try {
-        const users = JSON.parse(localStorage.getItem('rppg_users') || '[]');
-        // Ensure default user exists
-        if (!users.find(u => u.username === 'default')) {
-            users.unshift({ id: 0, username: 'default', display_name: '訪客' });
-            localStorage.setItem('rppg_users', JSON.stringify(users));
-        }
-        return users;
-    } catch { return [{ id: 0, username: 'default', display_name: '訪客' }]; }
+        await _tx('series', 'readwrite', tx => {
+            const store = tx.objectStore('series');
+            const req = store.get(id);
+            req.onsuccess = () => store.put({ ...req.result, ...entry });
+        });
+        return true;
+    } catch (e) {
+        console.warn('Series not saved (storage full?):', e);
+        return false;
+    }
+}
+
+/**
+ * Series saved with a session, times restored to epoch ms:
+ * { rr: { times, rr, corrections }, hr: { times, bpm }, harmonics: { times, values },
+ *   timeline: { times, hr, sdnn, rmssd, spo2, breath, quality }, stress: [{ phase, start, end }],
+ *   reference: { hr: { times, bpm }, rr: { times, rr } } }
+ */
+async function getSessionSeries(id) {
+    const entry = await _tx('series', 'readonly', tx => tx.objectStore('series').get(id));
+    if (!entry) return null;
+    const out = {};
+    if (entry.rr) out.rr = { times: _unpackTimes(entry.rr), rr: entry.rr.rr, corrections: entry.rr.corrections };
+    if (entry.hr) out.hr = { times: _unpackTimes(entry.hr), bpm: entry.hr.bpm };
+    if (entry.harmonics) out.harmonics = { times: _unpackTimes(entry.harmonics), values: entry.harmonics.values };
+    if (entry.timeline) {
+        const { t0, t, ...columns } = entry.timeline;
+        out.timeline = { times: _unpackTimes(entry.timeline), ...columns };
+    }
+    if (entry.stress) out.stress = entry.stress;
+    if (entry.reference) {
+        out.reference = {
+            hr: { times: _unpackTimes(entry.reference.hr), bpm: entry.reference.hr.bpm },
+            rr: { times: _unpackTimes(entry.reference.rr), rr: entry.reference.rr.rr }
+        };
+    }
+    return out;
+}
+
+// ===== Users =====
+const DEFAULT_USER = { id: 0, username: 'default', display_name: '訪客' };
+// Usernames are lower-cased display names with whitespace as '_'; markup / quote characters are never allowed
+const USERNAME_PATTERN = /^[^\s<>&"'`\\]{1,64}$/;
+
+/** Username for a typed display name, or '' when nothing valid is left */
+function toUsername(name) {
+    return String(name ?? '').trim().toLowerCase().replace(/\s+/g, '_').replace(/[<>&"'`\\]/g, '').slice(0, 64);
 }
 
 async function getUsers() {
-    return _getUsersStore();
+    const users = await _tx('users', 'readonly', tx => tx.objectStore('users').getAll());
+    // Ensure default user exists
+    if (!users.find(u => u.username === 'default')) {
+        await _tx('users', 'readwrite', tx => tx.objectStore('users').put(DEFAULT_USER));
+        users.unshift({ ...DEFAULT_USER });
+    }
+    return users.sort((a, b) => a.id - b.id);
 }
 
 async function createUser(username, displayName) {
-    const users = _getUsersStore();
+    if (!USERNAME_PATTERN.test(username)) return null;
+    const users = await getUsers();
     const existing = users.find(u => u.username === username);
     if (existing) return existing;
     const newUser = {
@@ -99,20 +294,187 @@ async function createUser(username, displayName) {
         username,
         display_name: displayName || username
     };
-    users.push(newUser);
-    localStorage.setItem('rppg_users', JSON.stringify(users));
+    await _tx('users', 'readwrite', tx => tx.objectStore('users').put(newUser));
     return newUser;
 }
 
+/**
+ * Merge fields into a stored user (per-user results such as the resonance breathing rate)
+ */
+async function updateUser(username, patch) {
+    const user = (await getUsers()).find(u => u.username === username);
+    if (!user) return null;
+    const updated = { ...user, ...patch, username };
+    await _tx('users', 'readwrite', tx => tx.objectStore('users').put(updated));
+    return updated;
+}
+
+async function getAllSessions() {
+    const sessions = await _tx('sessions', 'readonly', tx => tx.objectStore('sessions').getAll());
+    return sessions.sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1));
+}
+
+// ===== Backup / Restore =====
+// One JSON archive with every user, session, stored series and the UI settings
+// Version 0 is the pre-IndexedDB localStorage layout (rppg_sessions / rppg_users / rppg_series blobs)
+const BACKUP_FORMAT = 'rppg-pro-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_SETTINGS_KEYS = [
+    'rppg_current_user', 'rppg-lang', 'rppg_section_order',
+    'rppg-forehead-offset', 'rppg-face-offset', 'rppg-strict-pulse',
+    'rppg-method', 'rppg-compare-methods', 'rppg-record-trace', 'rppg-breath-motion', 'rppg-skin-mask',
+    'rppg-trend-options', 'rppg-protocol', 'rppg-custom-protocol', 'rppg-stress-test', 'rppg-spo2-camera'
+];
+
+// Upgrades an archive of version v to v + 1
+const BACKUP_MIGRATIONS = {
+    0: data => {
+        const parse = v => (typeof v === 'string' ? JSON.parse(v) : v);
+        const raw = Array.isArray(data) ? { rppg_sessions: data } : data;
+        const series = parse(raw.rppg_series) || {};
+        const settings = {};
+        BACKUP_SETTINGS_KEYS.forEach(key => { if (raw[key] !== undefined) settings[key] = String(raw[key]); });
+        return {
+            format: BACKUP_FORMAT, version: 1, createdAt: null,
+            users: parse(raw.rppg_users) || [],
+            sessions: parse(raw.rppg_sessions) || [],
+            series: Object.entries(series).map(([id, entry]) => ({ ...entry, id })),
+            settings
+        };
+    }
+};
+
+async function createBackup() {
+    const [users, sessions, series] = await Promise.all([
+        getUsers(),
+        getAllSessions(),
+        _tx('series', 'readonly', tx => tx.objectStore('series').getAll())
+    ]);
+    const settings = {};
+    BACKUP_SETTINGS_KEYS.forEach(key => {
+        const v = localStorage.getItem(key);
+        if (v !== null) settings[key] = v;
+    });
+    return { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), users, sessions, series, settings };
+}
+
+async function downloadBackup() {
+    const backup = await createBackup();
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `rppg_backup_${backup.createdAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+    return { users: backup.users.length, sessions: backup.sessions.length };
+}
+
+/**
+ * Parse, migrate and validate an archive; throws an Error listing every problem found
+ */
+function parseBackup(text) {
+    let data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!data || typeof data !== 'object') throw new Error('Not an rPPG Pro backup');
+    const legacy = Array.isArray(data) || 'rppg_sessions' in data;
+    if (!legacy && data.format !== BACKUP_FORMAT) throw new Error('Not an rPPG Pro backup');
+    let version = legacy ? 0 : data.version;
+    if (!Number.isInteger(version) || version < 0) throw new Error('Invalid backup version');
+    if (version > BACKUP_VERSION) throw new Error('Unsupported backup version ' + version);
+    while (version < BACKUP_VERSION) {
+        data = BACKUP_MIGRATIONS[version](data);
+        version = data.version;
+    }
+
+    const errors = [];
+    const isStr = v => typeof v === 'string' && v.length > 0;
+    ['users', 'sessions', 'series'].forEach(key => { if (!Array.isArray(data[key])) errors.push(`${key} must be an array`); });
+    if (data.settings && typeof data.settings !== 'object') errors.push('settings must be an object');
+    if (!errors.length) {
+        // ids and usernames end up in markup and handlers, so they must match the generated formats
+        data.users.forEach((u, i) => {
+            if (!u || !isStr(u.username)) errors.push(`users[${i}]: missing username`);
+            else if (!USERNAME_PATTERN.test(u.username)) errors.push(`users[${i}]: invalid username`);
+            else if (u.display_name !== undefined && typeof u.display_name !== 'string') errors.push(`users[${i}]: invalid display_name`);
+        });
+        data.sessions.forEach((s, i) => {
+            if (!s || !isStr(s.id)) errors.push(`sessions[${i}]: missing id`);
+            else if (!SESSION_ID_PATTERN.test(s.id)) errors.push(`sessions[${i}]: invalid id`);
+            else if (!isStr(s.user_id) || !USERNAME_PATTERN.test(s.user_id)) errors.push(`sessions[${i}] (${s.id}): missing or invalid user_id`);
+            else if (!isStr(s.timestamp) || isNaN(Date.parse(s.timestamp))) errors.push(`sessions[${i}] (${s.id}): missing or invalid timestamp`);
+            else if (s.duration !== undefined && s.duration !== null && !Number.isFinite(s.duration)) errors.push(`sessions[${i}] (${s.id}): invalid duration`);
+        });
+        data.series.forEach((e, i) => {
+            if (!e || !isStr(e.id)) errors.push(`series[${i}]: missing id`);
+            else if (!SESSION_ID_PATTERN.test(e.id)) errors.push(`series[${i}]: invalid id`);
+        });
+    }
+    if (errors.length) throw new Error(errors.slice(0, 10).join('\n') + (errors.length > 10 ? `\n… ${errors.length - 10} more` : ''));
+    data.settings = data.settings || {};
+    return data;
+}
+
+/**
+ * Restore an archive from parseBackup()
+ * mode 'replace' wipes every store first; 'merge' keeps local data and resolves duplicate
+ * session ids with onConflict: 'keep' (local wins) or 'overwrite' (archive wins)
+ * Settings are applied on replace, or on merge when options.settings is set
+ * Resolves counts: { added, updated, skipped, users, settings }
+ */
+async function restoreBackup(data, options = {}) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const overwrite = options.onConflict === 'overwrite';
+    const existingIds = mode === 'replace' ? new Set() : new Set((await getAllSessions()).map(s => s.id));
+    const existingUsers = mode === 'replace' ? new Set() : new Set((await getUsers()).map(u => u.username));
+    const result = { added: 0, updated: 0, skipped: 0, users: 0, settings: 0 };
+
+    await _tx(['sessions', 'series', 'users'], 'readwrite', tx => {
+        if (mode === 'replace') ['sessions', 'series', 'users'].forEach(name => tx.objectStore(name).clear());
+        const restored = new Set();
+        data.sessions.forEach(session => {
+            if (existingIds.has(session.id)) {
+                if (!overwrite) { result.skipped++; return; }
+                result.updated++;
+            } else result.added++;
+            tx.objectStore('sessions').put(session);
+            restored.add(session.id);
+        });
+        // A session's series follows whichever copy of the session was kept
+        data.series.forEach(entry => { if (restored.has(entry.id)) tx.objectStore('series').put(entry); });
+        data.users.forEach(user => {
+            if (existingUsers.has(user.username) && !overwrite) return;
+            tx.objectStore('users').put({ id: Date.now(), ...user });
+            result.users++;
+        });
+    });
+
+    if (mode === 'replace' || options.settings) {
+        Object.entries(data.settings).forEach(([key, value]) => {
+            if (!BACKUP_SETTINGS_KEYS.includes(key)) return;
+            localStorage.setItem(key, String(value));
+            result.settings++;
+        });
+    }
+    return result;
+}
+
 // ===== Export CSV =====
-function exportSessionsCSV() {
-    const sessions = _getSessionsStore().filter(s => s.user_id === getCurrentUser());
+// Free-text field (file / device names) quoted, embedded quotes doubled
+function _csvField(v) {
+    return '"' + String(v ?? '').replace(/"/g, '""') + '"';
+}
+
+async function exportSessionsCSV() {
+    const sessions = await getSessions(Infinity);
     if (!sessions.length) { alert('沒有記錄可匯出'); return; }
-    const headers = ['日期', '時長(秒)', '平均心率', '最高心率', '最低心率', 'HRV', 'SpO2', '呼吸率', '品質', '體質', '情緒'];
+    const headers = ['日期', '時長(秒)', '平均心率', '最高心率', '最低心率', 'HRV', 'LF/HF', 'LF(ms²)', 'HF(ms²)', 'VLF(ms²)', '總功率(ms²)', 'SD1', 'SD2', 'SampEn', 'DFA α1', 'SpO2', '呼吸率', '品質', '移動比例(%)', '體質', '情緒', '演算法', '來源', '流程', '參考裝置', '參考 MAE', '參考偏差'];
     const rows = sessions.map(s => [
         s.timestamp, s.duration, s.avg_hr, s.max_hr, s.min_hr,
-        s.avg_hrv, s.avg_spo2, s.avg_breath, s.quality_score,
-        s.constitution, s.emotion
+        s.avg_hrv, s.lf_hf_ratio ?? '', ...(s.freq_hrv ? [s.freq_hrv.lf, s.freq_hrv.hf, s.freq_hrv.vlf ?? '', s.freq_hrv.totalPower ?? ''] : ['', '', '', '']),
+        ...(s.nonlinear_hrv ? [s.nonlinear_hrv.sd1, s.nonlinear_hrv.sd2, s.nonlinear_hrv.sampEn ?? '', s.nonlinear_hrv.dfaAlpha1 ?? ''] : ['', '', '', '']),
+        s.avg_spo2, s.avg_breath, s.quality_score, s.motion_fraction !== null && s.motion_fraction !== undefined ? Math.round(s.motion_fraction * 100) : '',
+        s.constitution, s.emotion, s.method || 'pos+chrom', _csvField(s.source_name ? s.source + ':' + s.source_name : (s.source || 'camera')),
+        s.protocol ? s.protocol.id : '',
+        ...(s.reference ? [_csvField(s.reference.device), s.reference.mae, s.reference.bias] : ['', '', ''])
     ]);
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
     const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
@@ -0,0 +1,160 @@
+// ===== rPPG Pro — Interoperable Exports =====
+// Saved sessions as an HL7 FHIR R4 Bundle of Observations (LOINC) or as Open mHealth data points
+// Both carry the device / rPPG method and the session quality score
+
+const INTEROP_APP = { name: 'rPPG Pro', url: 'https://mccoychang.github.io/rppg-pro/' };
+const FHIR_QUALITY_EXTENSION = INTEROP_APP.url + 'fhir/StructureDefinition/signal-quality';
+
+// Session field → LOINC code and UCUM unit; extraCodes are added for the FHIR vital-signs profile
+const INTEROP_METRICS = [
+    { field: 'avg_hr', loinc: '8867-4', display: 'Heart rate', unit: '/min', omhUnit: 'beats/min', vital: true },
+    { field: 'avg_hrv', loinc: '80404-7', display: 'R-R interval.standard deviation (Heart rate variability)', unit: 'ms', omhUnit: 'ms' },
+    { field: 'avg_breath', loinc: '9279-1', display: 'Respiratory rate', unit: '/min', omhUnit: 'breaths/min', vital: true },
+    {
+        field: 'avg_spo2', loinc: '59408-5', display: 'Oxygen saturation in Arterial blood by Pulse oximetry', unit: '%', omhUnit: '%', vital: true,
+        extraCodes: [{ system: 'http://loinc.org', code: '2708-6', display: 'Oxygen saturation in Arterial blood' }]
+    }
+];
+
+function _uuid() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+}
+
+// Measurement interval of a session (start = saved timestamp, end = start + duration)
+// null for a session without a usable start time (skipped by the exporters)
+function _sessionPeriod(session) {
+    const start = new Date(session.timestamp);
+    if (isNaN(start.getTime()) || !Number.isFinite(session.duration || 0)) return null;
+    return { start: start.toISOString(), end: new Date(start.getTime() + (session.duration || 0) * 1000).toISOString() };
+}
+
+function _methodText(session) {
+    return `Camera rPPG (${(session.method || 'pos+chrom').toUpperCase()}), source: ${session.source || 'camera'}`;
+}
+
+/**
+ * FHIR R4 collection Bundle: one Patient (the local user), one Device, and an Observation
+ * per available metric per session
+ */
+function sessionsToFHIRBundle(sessions, user = {}) {
+    const patientUrl = 'urn:uuid:' + _uuid(), deviceUrl = 'urn:uuid:' + _uuid();
+    const entries = [
+        {
+            fullUrl: patientUrl,
+            resource: {
+                resourceType: 'Patient',
+                identifier: [{ system: INTEROP_APP.url + 'user', value: user.username || 'default' }],
+                name: [{ text: user.display_name || user.username || 'default' }]
+            }
+        },
+        {
+            fullUrl: deviceUrl,
+            resource: {
+                resourceType: 'Device',
+                deviceName: [{ name: INTEROP_APP.name, type: 'user-friendly-name' }],
+                type: { text: 'Camera-based remote photoplethysmography (rPPG)' },
+                url: INTEROP_APP.url
+            }
+        }
+    ];
+
+    sessions.forEach(session => {
+        const period = _sessionPeriod(session);
+        if (!period) return;
+        const quality = Math.round(session.quality_score || 0);
+        INTEROP_METRICS.forEach(m => {
+            const value = session[m.field];
+            if (value === null || value === undefined || !(value > 0)) return;
+            const observation = {
+                resourceType: 'Observation',
+                identifier: [{ system: INTEROP_APP.url + 'session', value: `${session.id}/${m.loinc}` }],
+                status: 'final',
+                code: {
+                    coding: [{ system: 'http://loinc.org', code: m.loinc, display: m.display }, ...(m.extraCodes || [])],
+                    text: m.display
+                },
+                subject: { reference: patientUrl },
+                effectivePeriod: period,
+                valueQuantity: { value: Math.round(value * 10) / 10, unit: m.unit, system: 'http://unitsofmeasure.org', code: m.unit },
+                device: { reference: deviceUrl },
+                method: { text: _methodText(session) },
+                note: [{ text: `Signal quality ${quality}%` }],
+                extension: [{ url: FHIR_QUALITY_EXTENSION, valueInteger: quality }]
+            };
+            if (m.vital) {
+                observation.category = [{
+                    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'vital-signs', display: 'Vital Signs' }]
+                }];
+            }
+            entries.push({ fullUrl: 'urn:uuid:' + _uuid(), resource: observation });
+        });
+    });
+
+    return { resourceType: 'Bundle', type: 'collection', timestamp: new Date().toISOString(), entry: entries };
+}
+
+// Open mHealth schema per metric; there is no omh HRV schema, so SDNN uses an app namespace
+const OMH_SCHEMAS = {
+    avg_hr: { namespace: 'omh', name: 'heart-rate', version: '2.0', key: 'heart_rate' },
+    avg_hrv: { namespace: 'rppg-pro', name: 'heart-rate-variability', version: '1.0', key: 'heart_rate_variability' },
+    avg_breath: { namespace: 'omh', name: 'respiratory-rate', version: '2.0', key: 'respiratory_rate' },
+    avg_spo2: { namespace: 'omh', name: 'oxygen-saturation', version: '2.0', key: 'oxygen_saturation' }
+};
+
+/**
+ * Open mHealth data points (header + body), one per available metric per session
+ */
+function sessionsToOpenMHealth(sessions, user = {}) {
+    const points = [];
+    sessions.forEach(session => {
+        const period = _sessionPeriod(session);
+        if (!period) return;
+        INTEROP_METRICS.forEach(m => {
+            const value = session[m.field];
+            if (value === null || value === undefined || !(value > 0)) return;
+            const schema = OMH_SCHEMAS[m.field];
+            const body = {
+                [schema.key]: { value: Math.round(value * 10) / 10, unit: m.omhUnit },
+                effective_time_frame: { time_interval: { start_date_time: period.start, end_date_time: period.end } },
+                descriptive_statistic: 'average'
+            };
+            if (m.field === 'avg_hrv') body.algorithm = 'SDNN';
+            points.push({
+                header: {
+                    uuid: _uuid(),
+                    schema_id: { namespace: schema.namespace, name: schema.name, version: schema.version },
+                    source_creation_date_time: period.end,
+                    user_id: user.username || session.user_id,
+                    acquisition_provenance: {
+                        source_name: INTEROP_APP.name,
+                        source_data_point_id: `${session.id}/${m.field}`,
+                        modality: 'sensed',
+                        method: _methodText(session),
+                        quality_score: Math.round(session.quality_score || 0)
+                    }
+                },
+                body
+            });
+        });
+    });
+    return points;
+}
+
+function downloadInteropExport(format, sessions, user) {
+    const fhir = format === 'fhir';
+    const data = fhir ? sessionsToFHIRBundle(sessions, user) : sessionsToOpenMHealth(sessions, user);
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: fhir ? 'application/fhir+json' : 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `rppg_${(user && user.username) || 'default'}_${fhir ? 'fhir' : 'omh'}_${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INTEROP_METRICS, OMH_SCHEMAS, sessionsToFHIRBundle, sessionsToOpenMHealth, downloadInteropExport };
+}
@@ -0,0 +1,230 @@
+// ===== rPPG Pro — rPPG Method Registry =====
+// Every method maps mean-RGB traces to a pulse signal: extract(r, g, b, fps) → number[]
+// fusedHeartRate() band-passes, scores and fuses whichever methods it is given
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node: the methods build on the signal module's plain-script globals
+    Object.assign(globalThis, require('./signal.js'));
+}
+
+const RPPG_METHODS = {};
+const RPPG_DEFAULT_METHODS = ['pos', 'chrom'];
+
+/**
+ * Register a pulse extraction method under a short id
+ */
+function registerRPPGMethod(id, name, extract, description = '') {
+    RPPG_METHODS[id] = { id, name, extract, description };
+}
+
+/**
+ * Resolve ids ('all' = every registered method) to method objects
+ * Unknown ids are skipped; an empty result falls back to the default POS + CHROM fusion
+ */
+function getRPPGMethods(ids) {
+    const list = ids === 'all' || (Array.isArray(ids) && ids.includes('all')) ? Object.keys(RPPG_METHODS) : [].concat(ids || []);
+    const methods = list.map(id => RPPG_METHODS[id]).filter(Boolean);
+    return methods.length ? methods : RPPG_DEFAULT_METHODS.map(id => RPPG_METHODS[id]);
+}
+
+// ===== Small linear algebra helpers (3 channels) =====
+function _channelMean(ch) {
+    return ch.reduce((s, v) => s + v, 0) / ch.length;
+}
+
+// Each channel divided by its temporal mean, minus 1 (zero-mean relative variation)
+function _normalizeChannels(r, g, b) {
+    return [r, g, b].map(ch => {
+        const m = _channelMean(ch) || 1;
+        return ch.map(v => v / m - 1);
+    });
+}
+
+// Channel cross products X·Xᵀ / n
+function _gram(X) {
+    const n = X[0].length;
+    return X.map(a => X.map(b => {
+        let s = 0;
+        for (let i = 0; i < n; i++) s += a[i] * b[i];
+        return s / n;
+    }));
+}
+
+// Project every sample: out[k] = Σ W[k][c]·X[c]
+function _project(W, X) {
+    const n = X[0].length;
+    return W.map(w => {
+        const out = new Array(n).fill(0);
+        w.forEach((wc, c) => { for (let i = 0; i < n; i++) out[i] += wc * X[c][i]; });
+        return out;
+    });
+}
+
+/**
+ * Eigen-decomposition of a small symmetric matrix (cyclic Jacobi)
+ * Returns eigenvalues and eigenvectors (vectors[i] pairs with values[i]), sorted descending
+ */
+function _jacobiEigen(A) {
+    const n = A.length;
+    const a = A.map(row => row.slice());
+    const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n - 1; p++) for (let q = p + 1; q < n; q++) off += a[p][q] ** 2;
+        if (off < 1e-24) break;
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq; a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk; a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq; v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    return a.map((row, i) => ({ value: row[i], vector: v.map(r => r[i]) }))
+        .sort((x, y) => y.value - x.value)
+        .reduce((out, e) => { out.values.push(e.value); out.vectors.push(e.vector); return out; }, { values: [], vectors: [] });
+}
+
+// M^(-1/2) for a symmetric positive-definite matrix
+function _invSqrtSym(M) {
+    const { values, vectors } = _jacobiEigen(M);
+    return M.map((_, i) => M.map((_, j) =>
+        values.reduce((s, val, k) => s + vectors[k][i] * vectors[k][j] / Math.sqrt(Math.max(val, 1e-12)), 0)));
+}
+
+// Solve the 3×3 system A·x = y (Cramer's rule), null if singular
+function _solve3(A, y) {
+    const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+        - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+        + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const d = det(A);
+    if (Math.abs(d) < 1e-300) return null;
+    return [0, 1, 2].map(c => det(A.map((row, i) => row.map((v, j) => (j === c ? y[i] : v)))) / d);
+}
+
+// I − u·uᵀ (u unit length): removes the u direction
+function _orthogonalProjector(u) {
+    return u.map((ui, i) => u.map((uj, j) => (i === j ? 1 : 0) - ui * uj));
+}
+
+// ===== Methods =====
+
+/**
+ * GREEN (Verkruysse et al. 2008): normalized green channel, sign flipped so blood volume ↑ = signal ↑
+ */
+function greenMethod(r, g) {
+    const m = _channelMean(g) || 1;
+    return g.map(v => -(v / m - 1));
+}
+
+/**
+ * ICA (Poh et al. 2010) via symmetric FastICA (tanh contrast) on the normalized channels
+ * The source with the cleanest cardiac spectrum is returned, polarity matched to GREEN
+ */
+function icaMethod(r, g, b, fps) {
+    const n = r.length;
+    if (n < 30) return greenMethod(r, g);
+    const X = _normalizeChannels(r, g, b).map(ch => {
+        const sd = arrayStd(ch) || 1;
+        return ch.map(v => v / sd);
+    });
+
+    // Whitening: Z = D^(-1/2)·Eᵀ·X
+    const { values, vectors } = _jacobiEigen(_gram(X));
+    const Z = _project(vectors.map((vec, k) => vec.map(c => c / Math.sqrt(Math.max(values[k], 1e-12)))), X);
+
+    // Symmetric FastICA from the identity (deterministic)
+    let W = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let iter = 0; iter < 200; iter++) {
+        const U = _project(W, Z);
+        const next = W.map((w, k) => {
+            const u = U[k];
+            let gp = 0;
+            const nw = [0, 0, 0];
+            for (let i = 0; i < n; i++) {
+                const th = Math.tanh(u[i]);
+                gp += 1 - th * th;
+                for (let c = 0; c < 3; c++) nw[c] += Z[c][i] * th;
+            }
+            return nw.map((v, c) => v / n - gp / n * w[c]);
+        });
+        // Decorrelate: W ← (W·Wᵀ)^(-1/2)·W
+        const S = _invSqrtSym(next.map(a => next.map(b => a.reduce((s, v, c) => s + v * b[c], 0))));
+        const Wn = S.map(row => [0, 1, 2].map(c => row.reduce((s, v, k) => s + v * next[k][c], 0)));
+        const converged = Wn.every((w, k) => Math.abs(Math.abs(w.reduce((s, v, c) => s + v * W[k][c], 0)) - 1) < 1e-6);
+        W = Wn;
+        if (converged) break;
+    }
+
+    const sources = _project(W, Z);
+    let best = sources[0], bestScore = -1;
+    sources.forEach(src => {
+        const score = assessSignalQuality(butterworthBandpass(src, fps), fps).score;
+        if (score > bestScore) { bestScore = score; best = src; }
+    });
+    const ref = greenMethod(r, g);
+    const corr = best.reduce((s, v, i) => s + v * ref[i], 0);
+    return corr < 0 ? best.map(v => -v) : best;
+}
+
+/**
+ * PBV (de Haan & van Leest 2014): blood-volume pulse signature, projection W ∝ Q⁻¹·pbv
+ */
+function pbvMethod(r, g, b, fps) {
+    if (r.length < 30) return greenMethod(r, g);
+    const X = _normalizeChannels(r, g, b);
+    const sig = X.map(ch => arrayStd(butterworthBandpass(ch, fps)));
+    const norm = Math.hypot(...sig) || 1;
+    const pbv = sig.map(v => v / norm);
+    const w = _solve3(_gram(X), pbv);
+    if (!w) return greenMethod(r, g);
+    return _project([w], X)[0];
+}
+
+/**
+ * LGI (Pilz et al. 2018): project out the dominant (illumination / specular) RGB direction
+ */
+function lgiMethod(r, g, b) {
+    const X = [r, g, b];
+    const u = _jacobiEigen(_gram(X)).vectors[0];
+    return _project(_orthogonalProjector(u), X)[1];
+}
+
+/**
+ * OMIT (Casado & López 2023): orthogonal projection from the first QR basis vector
+ * (the first sample's colour direction), green row of the residual
+ */
+function omitMethod(r, g, b) {
+    const q0 = [r[0], g[0], b[0]];
+    const norm = Math.hypot(...q0);
+    if (!norm) return greenMethod(r, g);
+    return _project(_orthogonalProjector(q0.map(v => v / norm)), [r, g, b])[1];
+}
+
+registerRPPGMethod('pos', 'POS', posAlgorithm, 'Plane-Orthogonal-to-Skin (Wang 2017)');
+registerRPPGMethod('chrom', 'CHROM', (r, g, b) => chromAlgorithm(r, g, b), 'Chrominance (de Haan 2013)');
+registerRPPGMethod('green', 'GREEN', greenMethod, 'Green channel (Verkruysse 2008)');
+registerRPPGMethod('ica', 'ICA', icaMethod, 'FastICA (Poh 2010)');
+registerRPPGMethod('pbv', 'PBV', pbvMethod, 'Blood-volume pulse signature (de Haan 2014)');
+registerRPPGMethod('lgi', 'LGI', lgiMethod, 'Local group invariance (Pilz 2018)');
+registerRPPGMethod('omit', 'OMIT', omitMethod, 'Orthogonal matrix image transformation (Casado 2023)');
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RPPG_METHODS, RPPG_DEFAULT_METHODS, registerRPPGMethod, getRPPGMethods,
+        greenMethod, icaMethod, pbvMethod, lgiMethod, omitMethod
+    };
+}
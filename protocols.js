@@ -0,0 +1,177 @@
+// ===== rPPG Pro — Measurement Protocols =====
+// Timed phases with prompts and a minimum signal quality; results are summarised per phase
+// Pure logic: the page ticks a run once a second and owns prompts, auto-stop and saving
+
+// Phase text is in Chinese and translated by the page's t(); durations are in seconds
+const PROTOCOLS = [
+    {
+        id: 'rest2', name: '2 分鐘靜息', minQuality: 50,
+        phases: [
+            { id: 'settle', label: '準備', duration: 15, prompt: '坐好放鬆，臉部保持在畫面中' },
+            { id: 'rest', label: '靜息', duration: 120, prompt: '保持安靜不動，自然呼吸' }
+        ]
+    },
+    {
+        id: 'hrv5', name: '5 分鐘 HRV', minQuality: 60,
+        phases: [
+            { id: 'settle', label: '準備', duration: 30, prompt: '坐好放鬆，臉部保持在畫面中' },
+            { id: 'hrv', label: 'HRV 記錄', duration: 300, prompt: '保持安靜不動，自然呼吸' }
+        ]
+    },
+    {
+        id: 'orthostatic', name: '姿勢變換測試（躺 → 站）', minQuality: 50,
+        phases: [
+            { id: 'supine', label: '平躺', duration: 120, prompt: '平躺放鬆，鏡頭對準臉部' },
+            { id: 'standing', label: '站立', duration: 180, prompt: '現在站起來，保持站立不動' }
+        ]
+    }
+];
+
+const PROTOCOL_DEFAULT_QUALITY = 50;
+
+/**
+ * Protocol by id; 'custom' is built from a "label seconds, label seconds" phase list
+ */
+function getProtocol(id, customSpec) {
+    if (id === 'custom') {
+        const phases = parseProtocolPhases(customSpec || '');
+        return phases.length ? { id: 'custom', name: '自訂流程', minQuality: PROTOCOL_DEFAULT_QUALITY, phases } : null;
+    }
+    return PROTOCOLS.find(p => p.id === id) || null;
+}
+
+/**
+ * "靜坐 60, 深呼吸 90" → [{ id, label, duration, prompt }]; entries without a positive duration are dropped
+ */
+function parseProtocolPhases(text) {
+    return text.split(/[,，;\n]/).map(s => s.trim()).filter(Boolean).map((entry, i) => {
+        const m = entry.match(/^(.*?)\s*(\d+(?:\.\d+)?)\s*s?$/i);
+        if (!m || !(+m[2] > 0)) return null;
+        const label = m[1].trim() || `#${i + 1}`;
+        return { id: 'p' + (i + 1), label, duration: +m[2], prompt: label };
+    }).filter(Boolean);
+}
+
+function protocolDuration(protocol) {
+    return protocol.phases.reduce((a, p) => a + p.duration, 0);
+}
+
+/**
+ * Create a run; tick(time, quality) is called about once a second with sample time (ms) and the live quality score
+ * Only seconds at or above the phase's minimum quality count towards its duration, so low-quality stretches extend it
+ * tick returns { index, phase, remaining, lowQuality, changed, done }
+ */
+function createProtocolRun(protocol) {
+    const phases = [];
+    let index = 0, counted = 0, lastTime = null, done = false;
+
+    const minQuality = phase => phase.minQuality ?? protocol.minQuality ?? PROTOCOL_DEFAULT_QUALITY;
+
+    function tick(time, quality) {
+        let changed = false;
+        if (done) return { index, phase: null, remaining: 0, lowQuality: false, changed, done };
+        if (!phases.length) {
+            phases.push({ id: protocol.phases[0].id, label: protocol.phases[0].label, start: time, end: null, lowQualitySeconds: 0 });
+            changed = true;
+        }
+        const phase = protocol.phases[index], rec = phases[index];
+        const dt = lastTime === null ? 0 : Math.max(0, (time - lastTime) / 1000);
+        lastTime = time;
+        const lowQuality = quality < minQuality(phase);
+        if (lowQuality) rec.lowQualitySeconds += dt;
+        else counted += dt;
+
+        if (counted >= phase.duration) {
+            rec.end = time;
+            index++; counted = 0; changed = true;
+            if (index >= protocol.phases.length) {
+                done = true;
+                return { index, phase: null, remaining: 0, lowQuality: false, changed, done };
+            }
+            const next = protocol.phases[index];
+            phases.push({ id: next.id, label: next.label, start: time, end: null, lowQualitySeconds: 0 });
+        }
+        const current = protocol.phases[index];
+        return { index, phase: current, remaining: Math.max(0, current.duration - counted), lowQuality, changed, done };
+    }
+
+    return {
+        protocol,
+        tick,
+        // Closes the open phase (manual stop); a phase cut short is marked stopped
+        finish(time) {
+            const rec = phases[phases.length - 1];
+            if (rec && rec.end === null) Object.assign(rec, { end: time, stopped: true });
+        },
+        get done() { return done; },
+        get phases() { return phases.map(p => ({ ...p, lowQualitySeconds: Math.round(p.lowQualitySeconds) })); }
+    };
+}
+
+function _avgInWindow(times, values, start, end) {
+    const v = values ? values.filter((x, i) => x !== null && x !== undefined && times[i] >= start && times[i] <= end) : [];
+    return v.length ? Math.round(v.reduce((a, x) => a + x, 0) / v.length * 10) / 10 : null;
+}
+
+/**
+ * Per-phase results from the session series: HR / SpO2 / breath / quality means from the timeline,
+ * SDNN / RMSSD / pNN50 from the RR intervals inside the phase; valid when mean quality meets the minimum
+ * series: { rr: { rr, times }, timeline }
+ */
+function summarizeProtocol(protocol, phases, series) {
+    const tl = series.timeline || { times: [] };
+    const rr = series.rr || { rr: [], times: [] };
+    const results = phases.map(p => {
+        const def = protocol.phases.find(d => d.id === p.id) || {};
+        const end = p.end ?? p.start;
+        const beats = rr.rr.filter((v, i) => rr.times[i] >= p.start && rr.times[i] <= end);
+        const hrv = beats.length >= 3 && typeof calculateHRVMetrics === 'function' ? calculateHRVMetrics(beats) : null;
+        const quality = _avgInWindow(tl.times, tl.quality, p.start, end);
+        const minQuality = def.minQuality ?? protocol.minQuality ?? PROTOCOL_DEFAULT_QUALITY;
+        return {
+            id: p.id, label: p.label, start: p.start, end,
+            duration: Math.round((end - p.start) / 1000),
+            lowQualitySeconds: p.lowQualitySeconds || 0,
+            hr: _avgInWindow(tl.times, tl.hr, p.start, end),
+            sdnn: hrv ? hrv.sdnn : null,
+            rmssd: hrv ? hrv.rmssd : null,
+            pnn50: hrv ? hrv.pnn50 : null,
+            breath: _avgInWindow(tl.times, tl.breath, p.start, end),
+            spo2: _avgInWindow(tl.times, tl.spo2, p.start, end),
+            quality,
+            beats: beats.length,
+            valid: quality !== null && quality >= minQuality
+        };
+    });
+    const out = {
+        id: protocol.id, name: protocol.name,
+        completed: phases.length === protocol.phases.length && phases.every(p => p.end !== null && !p.stopped),
+        phases: results
+    };
+    if (protocol.id === 'orthostatic') out.orthostatic = orthostaticResponse(results, rr);
+    return out;
+}
+
+/**
+ * Lying → standing: peak HR rise over the supine mean within 60 s of standing, and the 30:15 ratio
+ * (longest RR around beat 30 / shortest RR around beat 15 after standing up)
+ */
+function orthostaticResponse(results, rr) {
+    const supine = results.find(p => p.id === 'supine'), standing = results.find(p => p.id === 'standing');
+    if (!supine || !standing || !supine.hr) return null;
+    const after = rr.rr.filter((v, i) => rr.times[i] >= standing.start && rr.times[i] <= standing.start + 60000);
+    const peakHR = after.length ? Math.round(60000 / Math.min(...after)) : null;
+    const early = after.slice(4, 25), late = after.slice(19, 40);
+    return {
+        hrRise: peakHR !== null ? Math.round(peakHR - supine.hr) : null,
+        peakHR,
+        ratio30_15: early.length && late.length ? Math.round(Math.max(...late) / Math.min(...early) * 100) / 100 : null
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROTOCOLS, PROTOCOL_DEFAULT_QUALITY, getProtocol, parseProtocolPhases, protocolDuration,
+        createProtocolRun, summarizeProtocol, orthostaticResponse
+    };
+}
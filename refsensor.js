@@ -0,0 +1,210 @@
+// ===== rPPG Pro — Reference Heart-Rate Sensor =====
+// Chest straps / watches speaking the Bluetooth Heart Rate Service (0x180D) as ground truth for the camera
+// A transport delivers raw Heart Rate Measurement values; the sensor decodes them and stamps them with the page clock
+// Transport: { kind, connect(onValue, onClose) → Promise<device name>, disconnect() }, onValue receives a DataView
+
+const HR_SERVICE = 0x180d;
+const HR_MEASUREMENT = 0x2a37;
+
+const REFERENCE_DEFAULTS = {
+    maxAge: 3000 // ms a reference reading stays current when paired with a camera estimate
+};
+
+function _dataView(value) {
+    if (value instanceof DataView) return value;
+    if (ArrayBuffer.isView(value)) return new DataView(value.buffer, value.byteOffset, value.byteLength);
+    return new DataView(value);
+}
+
+/**
+ * Heart Rate Measurement characteristic (0x2A37) → { hr, contact (null when unsupported), energy, rr (ms) }
+ * Flags: bit 0 16-bit HR, bits 1-2 sensor contact, bit 3 energy expended, bit 4 RR intervals (1/1024 s)
+ */
+function parseHeartRateMeasurement(value) {
+    const view = _dataView(value);
+    const flags = view.getUint8(0);
+    let i = 1;
+    const hr = flags & 0x01 ? view.getUint16(i, true) : view.getUint8(i);
+    i += flags & 0x01 ? 2 : 1;
+    const contact = flags & 0x04 ? !!(flags & 0x02) : null;
+    let energy = null;
+    if (flags & 0x08) { energy = view.getUint16(i, true); i += 2; }
+    const rr = [];
+    if (flags & 0x10) {
+        for (; i + 1 < view.byteLength; i += 2) rr.push(Math.round(view.getUint16(i, true) / 1024 * 1000 * 10) / 10);
+    }
+    return { hr, contact, energy, rr };
+}
+
+/**
+ * Inverse of parseHeartRateMeasurement (simulated sensors): { hr, rr (ms), contact } → DataView
+ */
+function encodeHeartRateMeasurement({ hr, rr = [], contact = true }) {
+    const wide = hr > 255;
+    const bytes = [(wide ? 0x01 : 0) | 0x04 | (contact ? 0x02 : 0) | (rr.length ? 0x10 : 0)];
+    if (wide) bytes.push(hr & 0xff, hr >> 8);
+    else bytes.push(hr);
+    rr.forEach(ms => {
+        const v = Math.round(ms / 1000 * 1024);
+        bytes.push(v & 0xff, v >> 8);
+    });
+    return new DataView(new Uint8Array(bytes).buffer);
+}
+
+/**
+ * Web Bluetooth transport: picks a device advertising the Heart Rate Service and subscribes to its measurements
+ */
+function createBluetoothTransport(bluetooth = typeof navigator !== 'undefined' ? navigator.bluetooth : null) {
+    let device = null, characteristic = null, onChange = null, onDisconnect = null;
+    return {
+        kind: 'bluetooth',
+        available: !!bluetooth,
+        async connect(onValue, onClose) {
+            if (!bluetooth) throw new Error('Web Bluetooth is not available in this browser');
+            device = await bluetooth.requestDevice({ filters: [{ services: [HR_SERVICE] }] });
+            onDisconnect = () => onClose();
+            device.addEventListener('gattserverdisconnected', onDisconnect);
+            const server = await device.gatt.connect();
+            const service = await server.getPrimaryService(HR_SERVICE);
+            characteristic = await service.getCharacteristic(HR_MEASUREMENT);
+            onChange = e => onValue(e.target.value);
+            characteristic.addEventListener('characteristicvaluechanged', onChange);
+            await characteristic.startNotifications();
+            return device.name || 'Bluetooth HR';
+        },
+        async disconnect() {
+            if (!device) return;
+            device.removeEventListener('gattserverdisconnected', onDisconnect);
+            if (characteristic) {
+                characteristic.removeEventListener('characteristicvaluechanged', onChange);
+                try { await characteristic.stopNotifications(); } catch { /* already gone */ }
+            }
+            if (device.gatt.connected) device.gatt.disconnect();
+            device = characteristic = null;
+        }
+    };
+}
+
+/**
+ * Simulated strap: beats at `hr` BPM with respiratory sinus arrhythmia and jitter, one notification per interval
+ * options: { hr, rsa (BPM swing), breathRate (/min), jitter (ms), interval (ms), rng }
+ */
+function createSimulatedTransport(options = {}) {
+    const cfg = { hr: 70, rsa: 4, breathRate: 12, jitter: 15, interval: 1000, rng: Math.random, ...options };
+    let timer = null;
+    return {
+        kind: 'simulated',
+        available: true,
+        async connect(onValue) {
+            let elapsed = 0, nextBeat = 0, hr = Math.round(cfg.hr);
+            timer = setInterval(() => {
+                elapsed += cfg.interval;
+                const rr = [];
+                while (true) {
+                    const bpm = cfg.hr + cfg.rsa / 2 * Math.sin(2 * Math.PI * cfg.breathRate / 60 * nextBeat / 1000);
+                    const interval = 60000 / bpm + (cfg.rng() - 0.5) * 2 * cfg.jitter;
+                    if (nextBeat + interval > elapsed) break;
+                    nextBeat += interval;
+                    rr.push(interval);
+                }
+                if (rr.length) hr = Math.round(60000 / (rr.reduce((a, v) => a + v, 0) / rr.length)); // else repeat the last value
+                onValue(encodeHeartRateMeasurement({ hr, rr }));
+            }, cfg.interval);
+            return 'Simulated HR sensor';
+        },
+        async disconnect() {
+            clearInterval(timer);
+            timer = null;
+        }
+    };
+}
+
+/**
+ * Reference sensor over a transport; readings are stamped with clock() (the page passes sample time)
+ * Events (sensor.on(type, fn)):
+ *   reading    { t, hr, contact, rr, rrTimes }  rrTimes = end time of each interval, the last one at t
+ *   disconnect { name }
+ */
+function createReferenceSensor(transport, clock = () => Date.now()) {
+    const listeners = {};
+    let name = '', connected = false, latest = null;
+
+    const emit = (type, payload) => (listeners[type] || []).forEach(fn => fn(payload));
+
+    function onValue(value) {
+        const m = parseHeartRateMeasurement(value);
+        const t = clock();
+        const rrTimes = [];
+        let end = t;
+        for (let i = m.rr.length - 1; i >= 0; i--) { rrTimes.unshift(end); end -= m.rr[i]; }
+        latest = { t, hr: m.hr, contact: m.contact, rr: m.rr, rrTimes };
+        emit('reading', latest);
+    }
+
+    function onClose() {
+        if (!connected) return;
+        connected = false;
+        emit('disconnect', { name });
+    }
+
+    return {
+        on(type, fn) { (listeners[type] = listeners[type] || []).push(fn); },
+        async connect() {
+            name = await transport.connect(onValue, onClose);
+            connected = true;
+            return name;
+        },
+        async disconnect() {
+            await transport.disconnect();
+            onClose();
+        },
+        get kind() { return transport.kind; },
+        get name() { return name; },
+        get connected() { return connected; },
+        get latest() { return latest; }
+    };
+}
+
+/**
+ * Camera estimates { times, bpm } paired with the latest reference reading { times, bpm } at or before
+ * each estimate, at most maxAge ms old → [{ t, camera, reference }]
+ */
+function pairReferenceHR(camera, reference, maxAge = REFERENCE_DEFAULTS.maxAge) {
+    const pairs = [];
+    if (!camera || !reference) return pairs;
+    let j = 0;
+    camera.times.forEach((t, i) => {
+        while (j + 1 < reference.times.length && reference.times[j + 1] <= t) j++;
+        const rt = reference.times[j];
+        if (rt !== undefined && rt <= t && t - rt <= maxAge) pairs.push({ t, camera: camera.bpm[i], reference: reference.bpm[j] });
+    });
+    return pairs;
+}
+
+/**
+ * Bland-Altman style agreement of paired HR (camera − reference, BPM): bias, SD, 95 % limits, MAE, RMSE
+ */
+function hrAgreement(pairs) {
+    if (!pairs.length) return null;
+    const d = pairs.map(p => p.camera - p.reference);
+    const n = d.length;
+    const bias = d.reduce((a, v) => a + v, 0) / n;
+    const sd = n > 1 ? Math.sqrt(d.reduce((a, v) => a + (v - bias) ** 2, 0) / (n - 1)) : 0;
+    const r1 = v => Math.round(v * 10) / 10;
+    return {
+        n,
+        bias: r1(bias),
+        sd: r1(sd),
+        loaLow: r1(bias - 1.96 * sd),
+        loaHigh: r1(bias + 1.96 * sd),
+        mae: r1(d.reduce((a, v) => a + Math.abs(v), 0) / n),
+        rmse: r1(Math.sqrt(d.reduce((a, v) => a + v * v, 0) / n))
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HR_SERVICE, HR_MEASUREMENT, REFERENCE_DEFAULTS, parseHeartRateMeasurement, encodeHeartRateMeasurement,
+        createBluetoothTransport, createSimulatedTransport, createReferenceSensor, pairReferenceHR, hrAgreement
+    };
+}
@@ -0,0 +1,245 @@
+// ===== rPPG Pro — Session Report =====
+// Self-contained HTML report (inline CSS, charts as data URLs) for a live or saved session, printable to PDF
+// Text goes through the page's t(), so the report follows the current language
+
+const REPORT_PREVIOUS_SESSIONS = 5;
+
+/** HTML-escape a value for text or attribute context — shared with the page for any user or imported text */
+function escapeHTML(v) {
+    return String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function _fmt(v, digits = 0, unit = '') {
+    if (v === null || v === undefined || Number.isNaN(v)) return '--';
+    const f = 10 ** digits;
+    return Math.round(v * f) / f + (unit ? ' ' + unit : '');
+}
+
+function _mmss(sec) {
+    sec = Math.max(0, Math.round(sec || 0));
+    return `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, '0')}`;
+}
+
+function _table(rows, head) {
+    return `<table>${head ? `<tr>${head.map(h => `<th>${h}</th>`).join('')}</tr>` : ''}${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</table>`;
+}
+
+/**
+ * Mean of a timeline column inside [start, end] (sample time, ms), nulls skipped
+ */
+function _timelineMean(timeline, key, start, end) {
+    if (!timeline || !timeline[key]) return null;
+    const vals = timeline[key].filter((v, i) => v !== null && timeline.times[i] >= start && timeline.times[i] <= end);
+    return vals.length ? vals.reduce((a, v) => a + v, 0) / vals.length : null;
+}
+
+/**
+ * Stress-mode baseline vs. active phase: [{ key, baseline, active, change (%) }] plus the peak score
+ */
+function reportStressComparison(series) {
+    const phases = (series && series.stress) || [];
+    const active = phases.find(p => p.phase === 'active' && p.baseline);
+    if (!active) return null;
+    const timeline = series.timeline;
+    const rows = [['hr', 'hr'], ['hrv', 'sdnn'], ['breath', 'breath']].map(([key, col]) => {
+        const baseline = active.baseline[key] || null;
+        const during = _timelineMean(timeline, col, active.start, active.end);
+        return { key, baseline, active: during, change: baseline && during !== null ? (during - baseline) / baseline * 100 : null };
+    });
+    return { rows, maxScore: active.maxScore ?? null, duration: (active.end - active.start) / 1000 };
+}
+
+/**
+ * Build the report HTML
+ * opts: { session, series, previous (older sessions of the same user, newest first),
+ *         images: { ppg, trend, timeline, harmonics } data URLs, t, lang, strictLevel, userName }
+ */
+function buildSessionReport(opts) {
+    const { session: s, series = {}, previous = [], images = {}, lang = 'zh' } = opts;
+    const t = opts.t || (k => k);
+    const start = new Date(s.timestamp);
+    const locale = lang === 'en' ? 'en-US' : 'zh-TW';
+
+    // Time domain from the stored beat series when available, else the session averages
+    const rr = series.rr && series.rr.rr.length >= 3 && typeof calculateHRVMetrics === 'function'
+        ? calculateHRVMetrics(series.rr.rr) : null;
+    const corr = s.rr_corrections;
+    const f = s.freq_hrv, nl = s.nonlinear_hrv;
+    const profile = s.harmonics && typeof harmonicProfile === 'function' ? harmonicProfile(s.harmonics, opts.strictLevel || 0) : null;
+    const stress = reportStressComparison(series);
+
+    const metricRow = (label, value) => `<div class="metric"><div class="label">${label}</div><div class="value">${value}</div></div>`;
+    const figure = (key, caption) => images[key]
+        ? `<figure><img src="${images[key]}" alt="${escapeHTML(caption)}"><figcaption>${escapeHTML(caption)}</figcaption></figure>` : '';
+
+    const sections = [];
+    sections.push(`<div class="grid">
+        ${metricRow('❤️ ' + t('平均心率'), _fmt(s.avg_hr, 0, 'BPM'))}
+        ${metricRow('📈 ' + t('最高心率'), _fmt(s.max_hr, 0, 'BPM'))}
+        ${metricRow('📉 ' + t('最低心率'), _fmt(s.min_hr, 0, 'BPM'))}
+        ${metricRow('🩸 SpO2', _fmt(s.avg_spo2, 0, '%') + (s.spo2_calibration ? ` <small>(${t('已校正')}${s.spo2_calibration.residualSD !== null ? ` ±${s.spo2_calibration.residualSD}%` : ''})</small>` : ''))}
+        ${metricRow('🫁 ' + t('呼吸率'), _fmt(s.avg_breath, 0, t('次/分')))}
+        ${metricRow('🔒 ' + t('品質'), _fmt(s.quality_score, 0, '%'))}
+        ${metricRow('🏃 ' + t('移動干擾'), s.motion_fraction !== null && s.motion_fraction !== undefined ? _fmt(s.motion_fraction * 100, 0, '%') : '--')}
+        ${metricRow('🎭 ' + t('情緒'), escapeHTML(t(s.emotion || '--')))}
+        ${metricRow('☯️ ' + t('體質'), escapeHTML(t(s.constitution || '--')))}
+    </div>`);
+
+    if (s.protocol) {
+        const o = s.protocol.orthostatic;
+        sections.push(`<h2>📋 ${escapeHTML(t(s.protocol.name))}${s.protocol.completed ? '' : ` · ⚠️ ${t('未完成')}`}</h2>` +
+            _table(s.protocol.phases.map(p => [
+                `${p.valid ? '' : '⚠️ '}${escapeHTML(t(p.label))}`, _mmss(p.duration), _fmt(p.hr, 0), _fmt(p.sdnn, 0), _fmt(p.rmssd, 0),
+                _fmt(p.breath, 0), _fmt(p.spo2, 0), _fmt(p.quality, 0, '%')
+            ]), ['', t('時長'), 'HR', 'SDNN', 'RMSSD', t('呼吸'), 'SpO2', t('品質')]) +
+            (o ? `<p>🧍 ${t('站立心率上升')}: ${_fmt(o.hrRise, 0, 'BPM')} · ${t('最高心率')} ${_fmt(o.peakHR, 0, 'BPM')} · 30:15 ${_fmt(o.ratio30_15, 2)}</p>` : ''));
+    }
+
+    const charts = [
+        figure('ppg', t('PPG 訊號')), figure('trend', t('心率趨勢')), figure('breathing', t('呼吸波形')),
+        figure('timeline', t('HRV / SpO2 / 呼吸 / 品質')), figure('harmonics', t('脈診分析（王唯工諧波）'))
+    ].join('');
+    if (charts) sections.push(`<h2>📊 ${t('圖表')}</h2><div class="charts">${charts}</div>`);
+
+    sections.push(`<h2>💓 HRV</h2><div class="cols">
+        <div><h3>${t('時域')}</h3>${_table([
+            ['SDNN', _fmt(rr ? rr.sdnn : s.avg_hrv, 0, 'ms')],
+            ['RMSSD', _fmt(rr ? rr.rmssd : s.avg_rmssd, 0, 'ms')],
+            ['pNN50', rr ? _fmt(rr.pnn50, 1, '%') : '--'],
+            [t('平均 RR'), rr ? _fmt(rr.meanRR, 0, 'ms') : '--'],
+            ['RR', `${s.rr_count || 0}${corr ? ` (${t('校正')}: ${t('漏拍')} ${corr.missed} / ${t('多拍')} ${corr.extra} / ${t('異位')} ${corr.ectopic} / ${t('偽影')} ${corr.artifact})` : ''}`]
+        ])}</div>
+        <div><h3>${t('頻域')}</h3>${f ? _table([
+            ['VLF', _fmt(f.vlf, 0, 'ms²')], ['LF', `${_fmt(f.lf, 0, 'ms²')} (${_fmt(f.lfNu, 1, 'n.u.')})`],
+            ['HF', `${_fmt(f.hf, 0, 'ms²')} (${_fmt(f.hfNu, 1, 'n.u.')})`], [t('總功率'), _fmt(f.totalPower, 0, 'ms²')],
+            ['LF/HF', _fmt(f.lfHfRatio, 2)], [t('分析時長'), `${_mmss(f.duration)} · ${f.beats} ${t('拍')}`]
+        ]) : `<p class="muted">${t('測量時間不足 2 分鐘')}${s.lf_hf_ratio !== null && s.lf_hf_ratio !== undefined ? ` · LF/HF ≈ ${s.lf_hf_ratio}` : ''}</p>`}</div>
+        <div><h3>${t('非線性')}</h3>${nl ? _table([
+            ['SD1', _fmt(nl.sd1, 1, 'ms')], ['SD2', _fmt(nl.sd2, 1, 'ms')], ['SD1/SD2', _fmt(nl.sd1sd2, 2)],
+            ['SampEn', _fmt(nl.sampEn, 2)], ['DFA α1', _fmt(nl.dfaAlpha1, 2)]
+        ]) : `<p class="muted">${t('RR 數據不足')}</p>`}</div>
+    </div>`);
+
+    if (profile) {
+        sections.push(`<h2>☯️ ${t('體質')}: ${escapeHTML(s.constitution_emoji || profile.constitutionEmoji)} ${escapeHTML(t(s.constitution || profile.constitution))}</h2>` +
+            _table(profile.harmonics.map(h => [
+                'C' + h.harmonic, `${h.emoji} ${escapeHTML(t(h.name))}`, _fmt(h.percentage, 1, '%'),
+                `<span style="color:${h.statusColor}">${escapeHTML(t(h.status))}</span>`, h.expectedRange
+            ]), [t('諧波'), t('經絡'), '%', t('狀態'), t('參考')]) +
+            `<p class="muted">${escapeHTML(t(profile.note))}</p>`);
+    }
+
+    if (s.stress_test) {
+        const st = s.stress_test, p = st.performance;
+        const label = { hr: '❤️ HR', sdnn: '📊 SDNN', rmssd: '📊 RMSSD', breath: '🫁 ' + t('呼吸') };
+        const signed = (v, digits, unit) => (v === null ? '--' : (v > 0 ? '+' : '') + _fmt(v, digits, unit));
+        const task = typeof STRESS_TASKS !== 'undefined' && STRESS_TASKS[st.task] ? t(STRESS_TASKS[st.task].name) : st.task;
+        sections.push(`<h2>🔍 ${t('壓力測試')} · ${escapeHTML(task)}${st.customTask ? ` (${escapeHTML(st.customTask)})` : ''}${st.completed ? '' : ` · ⚠️ ${t('未完成')}`}</h2>` +
+            _table(st.metrics.map(m => [
+                label[m.key], `${_fmt(m.baseline, 1)} ± ${_fmt(m.baselineSD, 1)}`, _fmt(m.stressor, 1), _fmt(m.peak, 0),
+                `${signed(m.reactivity, 1)} (${signed(m.reactivityPct, 0, '%')})`,
+                m.recoverySeconds !== null ? _mmss(m.recoverySeconds) : m.stressor !== null && st.completed ? t('未恢復') : '--',
+                _fmt(m.recoveryMean, 1), _fmt(m.auc, 0)
+            ]), ['', t('基線'), t('壓力任務'), t('峰值'), t('反應'), t('恢復時間'), t('恢復'), 'AUC']) +
+            `<p class="muted">${t('基線')} ${_mmss(st.config.baseline)} · ${t('壓力任務')} ${_mmss(st.config.stressor)} · ${t('恢復')} ${_mmss(st.config.recovery)}` +
+            ` · ${t('最高壓力')} ${_fmt(st.peakScore, 0)}` +
+            (p && p.items ? ` · ${t('答對')} ${p.correct}/${p.items} · ${t('逾時')} ${p.timeouts} · ${t('平均反應時間')} ${_fmt(p.meanRT, 0, 'ms')}` : '') +
+            `<br>${t('AUC：壓力任務與恢復期間相對基線的偏移面積（單位·秒）')}</p>`);
+    } else if (stress) {
+        const label = { hr: '❤️ HR', hrv: '📊 SDNN', breath: '🫁 ' + t('呼吸') };
+        sections.push(`<h2>🔍 ${t('壓力偵測')}</h2>` +
+            _table(stress.rows.map(r => [label[r.key], _fmt(r.baseline, 0), _fmt(r.active, 0), r.change === null ? '--' : `${r.change >= 0 ? '+' : ''}${_fmt(r.change, 0)}%`]),
+                ['', t('基線'), t('壓力比對'), t('變化')]) +
+            `<p class="muted">${t('最高壓力')}: ${_fmt(stress.maxScore, 0)} · ${t('時長')} ${_mmss(stress.duration)}</p>`);
+    }
+
+    if (s.biofeedback) {
+        const b = s.biofeedback, r = b.resonance;
+        sections.push(`<h2>🌬️ ${t('呼吸生理回饋')}</h2>` +
+            (b.samples ? _table([
+                [t('呼吸節奏'), _fmt(b.rate, 1, '/min')],
+                [t('共振指數'), `${_fmt(b.meanCoherence, 0)} (${t('最高')} ${_fmt(b.maxCoherence, 0)})`],
+                [t('高共振時間'), _fmt(b.highShare, 0, '%')],
+                [t('心率振幅'), _fmt(b.meanAmplitude, 1, 'BPM')]
+            ]) : '') +
+            (r ? `<h3>${t('共振頻率掃描')}${r.completed ? '' : ` · ⚠️ ${t('未完成')}`}</h3>` +
+                _table(r.steps.map(st => [
+                    `${st.rate === r.bestRate ? '🎯 ' : ''}${st.rate} /min`, _fmt(st.amplitude, 1, 'BPM'), _fmt(st.coherence, 0), st.beats
+                ]), [t('呼吸節奏'), t('心率振幅'), t('共振指數'), t('拍')]) +
+                (r.bestRate ? `<p>${t('建議呼吸節奏')}: <b>${r.bestRate} /min</b></p>` : '') : ''));
+    }
+
+    if (s.reference) {
+        const r = s.reference;
+        sections.push(`<h2>📡 ${t('與參考感測器比較')}</h2>` + _table([
+            [t('裝置'), escapeHTML(r.device) || '--'], [t('配對數'), r.n],
+            [t('偏差'), `${_fmt(r.bias, 1, 'BPM')} ± ${_fmt(r.sd, 1)}`],
+            [t('一致性界限'), `${_fmt(r.loaLow, 1)} … ${_fmt(r.loaHigh, 1)} BPM`],
+            ['MAE', _fmt(r.mae, 1, 'BPM')], ['RMSE', _fmt(r.rmse, 1, 'BPM')]
+        ]));
+    }
+
+    if (previous.length) {
+        const prev = previous.slice(0, REPORT_PREVIOUS_SESSIONS);
+        const mean = key => {
+            const v = prev.map(p => p[key]).filter(x => x > 0);
+            return v.length ? v.reduce((a, x) => a + x, 0) / v.length : null;
+        };
+        const keys = ['avg_hr', 'avg_hrv', 'avg_rmssd', 'avg_spo2', 'avg_breath', 'quality_score'];
+        const delta = key => {
+            const m = mean(key);
+            return s[key] > 0 && m ? `${s[key] - m >= 0 ? '+' : ''}${_fmt(s[key] - m, 1)}` : '--';
+        };
+        sections.push(`<h2>🗂️ ${t('與先前記錄比較')}</h2>` + _table([
+            [`<b>${t('本次')}</b>`, ...keys.map(k => `<b>${_fmt(s[k], 0)}</b>`)],
+            ...prev.map(p => [escapeHTML(new Date(p.timestamp).toLocaleString(locale)), ...keys.map(k => _fmt(p[k], 0))]),
+            [`${t('前')} ${prev.length} ${t('次平均')}`, ...keys.map(k => _fmt(mean(k), 1))],
+            [t('本次差異'), ...keys.map(delta)]
+        ], [t('日期'), 'HR', 'SDNN', 'RMSSD', 'SpO2', t('呼吸'), t('品質')]));
+    }
+
+    return `<!DOCTYPE html>
+<html lang="${lang === 'en' ? 'en' : 'zh-Hant'}">
+<head>
+<meta charset="UTF-8">
+<title>rPPG Pro — ${escapeHTML(t('心率監測報告'))} ${escapeHTML(start.toLocaleDateString(locale))}</title>
+<style>
+    body { font-family: -apple-system, 'Noto Sans TC', 'Inter', sans-serif; color: #1c1c1e; max-width: 900px; margin: 24px auto; padding: 0 16px; font-size: 13px; }
+    h1 { font-size: 20px; margin-bottom: 4px; } h2 { font-size: 15px; margin: 22px 0 8px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    h3 { font-size: 13px; margin: 6px 0; color: #555; }
+    .muted { color: #8e8e93; font-size: 11px; }
+    .grid { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+    .metric { border: 1px solid #e5e5ea; border-radius: 8px; padding: 8px; } .metric .label { color: #8e8e93; font-size: 11px; } .metric .value { font-size: 16px; font-weight: 700; }
+    .cols { display: grid; grid-template-columns: repeat(3, 1fr); gap: 12px; }
+    .charts { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+    figure { margin: 0; } figure img { width: 100%; border-radius: 8px; background: #12121a; } figcaption { color: #8e8e93; font-size: 11px; text-align: center; }
+    table { border-collapse: collapse; width: 100%; } th, td { border-bottom: 1px solid #eee; padding: 4px 6px; text-align: left; } th { color: #8e8e93; font-weight: 600; }
+    .print { position: fixed; top: 12px; right: 12px; padding: 6px 12px; border-radius: 6px; border: 1px solid #5856d6; background: #5856d6; color: #fff; cursor: pointer; }
+    @media print { .print { display: none; } body { margin: 0; } h2 { break-after: avoid; } figure, table { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">🖨️ ${t('列印 / 存成 PDF')}</button>
+<h1>💓 rPPG Pro ${t('心率監測報告')}</h1>
+<div class="muted">
+    ${escapeHTML(start.toLocaleString(locale))} · ${t('測量時長')} ${_mmss(s.duration)} · ${t('演算法')} ${escapeHTML((s.method || '').toUpperCase())}
+    · ${t('來源')} ${escapeHTML(s.source || 'camera')}${s.source_name ? ' (' + escapeHTML(s.source_name) + ')' : ''}${opts.userName ? ' · 👤 ' + escapeHTML(opts.userName) : ''}
+</div>
+${sections.join('\n')}
+<p class="muted" style="margin-top:24px">⚠️ ${t('此報告基於影像分析估算，僅供參考，不可作為醫療診斷依據。')}</p>
+</body>
+</html>`;
+}
+
+function downloadSessionReport(html, timestamp) {
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `rPPG_Report_${(timestamp || new Date().toISOString()).slice(0, 10)}.html`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { REPORT_PREVIOUS_SESSIONS, escapeHTML, reportStressComparison, buildSessionReport, downloadSessionReport };
+}
@@ -0,0 +1,134 @@
+// ===== rPPG Pro — Respiration =====
+// Breathing rate from the unfiltered trace and from beat-level modulations, fused by quality:
+// RIIV = baseline wander of the raw trace, RIAV = pulse amplitude, RIFV = beat-to-beat interval,
+// optionally the vertical motion of the face box. The engine collects the series; this module scores and fuses them
+
+const RESPIRATION_DEFAULTS = {
+    band: [0.1, 0.6],  // Hz searched (6-36 breaths/min)
+    window: 32,        // seconds analysed
+    minSpan: 16,       // seconds of data a source needs
+    minBeats: 12,      // beats a beat-level source needs
+    fs: 4,             // Hz of the resampled series
+    peakBand: 0.02,    // Hz either side of the peak counted as peak power
+    minQuality: 25,    // % of band power near the peak for a source to count
+    agreement: 4,      // breaths/min from the weighted mean beyond which a source is dropped
+    motion: true       // include face-box motion
+};
+
+const RESPIRATION_SOURCES = [
+    { id: 'riiv', label: '基線 (RIIV)', color: '#5ac8fa' },
+    { id: 'riav', label: '振幅 (RIAV)', color: '#ff9500' },
+    { id: 'rifv', label: '頻率 (RIFV)', color: '#ff2d55' },
+    { id: 'motion', label: '臉部位移', color: '#34c759' }
+];
+
+/**
+ * Linear interpolation of (times in s, values) onto a grid at fs Hz over [start, end]
+ */
+function resampleUniform(times, values, fs, start, end) {
+    const out = [];
+    let j = 0;
+    for (let t = start; t <= end; t += 1 / fs) {
+        while (j + 1 < times.length && times[j + 1] < t) j++;
+        if (j + 1 >= times.length || t <= times[0]) out.push(values[Math.min(j, times.length - 1)]);
+        else {
+            const f = (t - times[j]) / (times[j + 1] - times[j] || 1);
+            out.push(values[j] + f * (values[j + 1] - values[j]));
+        }
+    }
+    return out;
+}
+
+function _movingAverage(values, size) {
+    const half = Math.floor(size / 2), out = new Array(values.length);
+    for (let i = 0; i < values.length; i++) {
+        let sum = 0, c = 0;
+        for (let k = Math.max(0, i - half); k <= Math.min(values.length - 1, i + half); k++) { sum += values[k]; c++; }
+        out[i] = sum / c;
+    }
+    return out;
+}
+
+/**
+ * Crude band-pass for a uniform series: remove the moving average over one slowest cycle,
+ * then smooth over half of the fastest cycle
+ */
+function respiratoryBand(values, fs, band = RESPIRATION_DEFAULTS.band) {
+    const trend = _movingAverage(values, Math.round(fs / band[0]));
+    const detrended = values.map((v, i) => v - trend[i]);
+    return _movingAverage(detrended, Math.max(1, Math.round(fs / (2 * band[1]))));
+}
+
+/**
+ * Dominant breathing rate of a uniform series: { rate (/min), quality (% of band power near the peak) }
+ */
+function respiratorySpectrum(values, fs, options = {}) {
+    const cfg = { ...RESPIRATION_DEFAULTS, ...options };
+    const times = values.map((v, i) => i / fs);
+    const freqs = [];
+    for (let f = cfg.band[0]; f <= cfg.band[1] + 1e-9; f += 0.005) freqs.push(f);
+    const psd = lombScargle(times, values, freqs);
+    const total = psd.reduce((a, v) => a + v, 0);
+    if (!(total > 0)) return null;
+    const peak = psd.indexOf(Math.max(...psd));
+    const peakPower = psd.reduce((a, v, i) => (Math.abs(freqs[i] - freqs[peak]) <= cfg.peakBand ? a + v : a), 0);
+    return { rate: Math.round(freqs[peak] * 600) / 10, quality: Math.round(peakPower / total * 100) };
+}
+
+/**
+ * Score every available source over the last `window` seconds
+ * series (times in ms): { raw: { times, values }, beats: { times, amp }, rr: { times, rr }, motion: { times, values } }
+ * → [{ id, rate, quality, values }], values = band-limited series at cfg.fs ending at the newest sample
+ */
+function respirationSources(series, options = {}) {
+    const cfg = { ...RESPIRATION_DEFAULTS, ...options };
+    const ends = Object.values(series).filter(s => s && s.times.length).map(s => s.times[s.times.length - 1]);
+    if (!ends.length) return [];
+    const end = Math.max(...ends) / 1000, start = end - cfg.window;
+
+    const score = (id, times, values, minPoints) => {
+        const pts = [];
+        times.forEach((t, i) => {
+            const ts = t / 1000;
+            if (ts >= start && values[i] !== null && values[i] !== undefined && Number.isFinite(values[i])) pts.push([ts, values[i]]);
+        });
+        if (pts.length < minPoints || pts[pts.length - 1][0] - pts[0][0] < cfg.minSpan) return null;
+        const uniform = resampleUniform(pts.map(p => p[0]), pts.map(p => p[1]), cfg.fs, pts[0][0], end);
+        const band = respiratoryBand(uniform, cfg.fs, cfg.band);
+        const spectrum = respiratorySpectrum(band, cfg.fs, cfg);
+        return spectrum && { id, ...spectrum, values: band };
+    };
+
+    return [
+        series.raw && score('riiv', series.raw.times, series.raw.values, cfg.minSpan * cfg.fs),
+        series.beats && score('riav', series.beats.times, series.beats.amp, cfg.minBeats),
+        series.rr && score('rifv', series.rr.times, series.rr.rr, cfg.minBeats),
+        cfg.motion && series.motion && score('motion', series.motion.times, series.motion.values, cfg.minSpan * cfg.fs)
+    ].filter(Boolean);
+}
+
+/**
+ * Quality-weighted rate over the sources above minQuality; sources further than `agreement` from the
+ * weighted mean are dropped once. → { rate, quality, used: [ids] } or null
+ */
+function fuseRespiration(sources, options = {}) {
+    const cfg = { ...RESPIRATION_DEFAULTS, ...options };
+    const mean = list => list.reduce((a, s) => a + s.rate * s.quality, 0) / list.reduce((a, s) => a + s.quality, 0);
+    let used = sources.filter(s => s.quality >= cfg.minQuality);
+    if (!used.length) return null;
+    const first = mean(used);
+    const agreeing = used.filter(s => Math.abs(s.rate - first) <= cfg.agreement);
+    if (agreeing.length) used = agreeing;
+    return {
+        rate: Math.round(mean(used) * 10) / 10,
+        quality: Math.round(used.reduce((a, s) => a + s.quality, 0) / used.length),
+        used: used.map(s => s.id)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESPIRATION_DEFAULTS, RESPIRATION_SOURCES, resampleUniform, respiratoryBand, respiratorySpectrum,
+        respirationSources, fuseRespiration
+    };
+}
@@ -0,0 +1,150 @@
+// ===== rPPG Pro — ROI Pixel Sampling =====
+// Pure pixel helpers shared by the page and the analysis worker
+
+// Skin classification: a static YCbCr skin box narrowed by a per-person model of the accepted Cb / Cr,
+// adapted from the skin pixels of every frame; dark and saturated pixels are never used
+const SKIN_DEFAULTS = {
+    cb: [77, 127],      // static YCbCr skin box, the adapted range never leaves it
+    cr: [133, 173],
+    minLuma: 35,        // darker pixels (shadow, eyebrows, hair, nostrils) are rejected
+    maxChannel: 245,    // any channel at or above this = specular highlight / clipped
+    sigma: 2.5,         // the adapted model accepts mean ± sigma · SD in Cb and Cr
+    minSD: 3,           // SD floor so the adapted range never collapses
+    alpha: 0.05,        // adaptation per frame (0-1)
+    minPixels: 50,      // skin pixels a frame needs before it adapts the model
+    minCoverage: 0.1    // below this skin share an ROI falls back to every usable (not dark / saturated) pixel
+};
+
+// Per-pixel classes (debug mask colours on the page)
+const SKIN_CLASS = { other: 0, skin: 1, dark: 2, specular: 3 };
+
+/**
+ * Skin model: { cfg, cb, cr, cbSD, crSD, frames } — frames = adapted frames, 0 = static box only
+ */
+function createSkinModel(options = {}) {
+    const cfg = { ...SKIN_DEFAULTS, ...options };
+    return {
+        cfg,
+        cb: (cfg.cb[0] + cfg.cb[1]) / 2, cr: (cfg.cr[0] + cfg.cr[1]) / 2,
+        cbSD: (cfg.cb[1] - cfg.cb[0]) / 2, crSD: (cfg.cr[1] - cfg.cr[0]) / 2,
+        frames: 0
+    };
+}
+
+/**
+ * Class of one RGB pixel under a skin model (SKIN_CLASS)
+ */
+function classifySkinPixel(r, g, b, model) {
+    const cfg = model.cfg;
+    if (r >= cfg.maxChannel || g >= cfg.maxChannel || b >= cfg.maxChannel) return SKIN_CLASS.specular;
+    if (0.299 * r + 0.587 * g + 0.114 * b < cfg.minLuma) return SKIN_CLASS.dark;
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    if (cb < cfg.cb[0] || cb > cfg.cb[1] || cr < cfg.cr[0] || cr > cfg.cr[1]) return SKIN_CLASS.other;
+    if (model.frames && (Math.abs(cb - model.cb) > cfg.sigma * model.cbSD || Math.abs(cr - model.cr) > cfg.sigma * model.crSD)) {
+        return SKIN_CLASS.other;
+    }
+    return SKIN_CLASS.skin;
+}
+
+// SD of a normal truncated at ± k SD relative to the full SD (erf by Abramowitz-Stegun 7.1.26)
+function _truncatedSDRatio(k) {
+    const x = k / Math.SQRT2, t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    const pdf = Math.exp(-k * k / 2) / Math.sqrt(2 * Math.PI);
+    return Math.sqrt(1 - 2 * k * pdf / erf);
+}
+
+/**
+ * Adapt the model to the skin pixels of one frame: stats = [{ n, cb, cr, cb2, cr2 }] (sums, see averageRegion)
+ * Too few skin pixels (e.g. after a lighting change) re-seeds the model from the static box
+ */
+function updateSkinModel(model, stats) {
+    const cfg = model.cfg;
+    const sum = stats.filter(Boolean).reduce((a, st) => {
+        Object.keys(a).forEach(k => { a[k] += st[k]; });
+        return a;
+    }, { n: 0, cb: 0, cr: 0, cb2: 0, cr2: 0 });
+    if (sum.n < cfg.minPixels) return model.frames ? Object.assign(model, createSkinModel(cfg)) : model;
+    // Pixels outside mean ± sigma · SD were rejected, so the measured spread is undone from that truncation
+    const widen = model.frames ? 1 / _truncatedSDRatio(cfg.sigma) : 1;
+    const cb = sum.cb / sum.n, cr = sum.cr / sum.n;
+    const cbSD = Math.max(cfg.minSD, Math.sqrt(Math.max(0, sum.cb2 / sum.n - cb * cb)) * widen);
+    const crSD = Math.max(cfg.minSD, Math.sqrt(Math.max(0, sum.cr2 / sum.n - cr * cr)) * widen);
+    // The first frame seeds the model from the static box; later frames move it slowly
+    const a = model.frames ? cfg.alpha : 1;
+    model.cb += a * (cb - model.cb); model.cr += a * (cr - model.cr);
+    model.cbSD += a * (cbSD - model.cbSD); model.crSD += a * (crSD - model.crSD);
+    model.frames++;
+    return model;
+}
+
+/**
+ * Mean R/G/B of a rectangle inside an RGBA pixel buffer
+ * `width` is the buffer's row length in pixels, roi is relative to the buffer origin
+ * Fractional edges weight the boundary pixels by their covered area, so a sub-pixel shift of the
+ * rectangle moves the mean smoothly instead of in whole-pixel steps
+ * With a skin model only skin pixels are averaged (see SKIN_DEFAULTS.minCoverage for the fallback);
+ * the result then also has coverage (skin share, 0-1) and stats (skin Cb / Cr sums for updateSkinModel)
+ */
+function averageRegion(pixels, width, roi, skinModel = null) {
+    const x0 = Math.floor(roi.x), y0 = Math.floor(roi.y);
+    const x1 = Math.ceil(roi.x + roi.w), y1 = Math.ceil(roi.y + roi.h);
+    // Weighted sums: [r, g, b, weight] of every pixel, of usable pixels and of skin pixels
+    const all = [0, 0, 0, 0], usable = [0, 0, 0, 0], skin = [0, 0, 0, 0];
+    const stats = { n: 0, cb: 0, cr: 0, cb2: 0, cr2: 0 };
+    const add = (acc, r, g, b, w) => { acc[0] += r * w; acc[1] += g * w; acc[2] += b * w; acc[3] += w; };
+    for (let y = y0; y < y1; y++) {
+        const wy = Math.min(y + 1, roi.y + roi.h) - Math.max(y, roi.y);
+        let i = (y * width + x0) * 4;
+        for (let x = x0; x < x1; x++, i += 4) {
+            const w = wy * (Math.min(x + 1, roi.x + roi.w) - Math.max(x, roi.x));
+            const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+            add(all, r, g, b, w);
+            if (!skinModel) continue;
+            const cls = classifySkinPixel(r, g, b, skinModel);
+            if (cls === SKIN_CLASS.dark || cls === SKIN_CLASS.specular) continue;
+            add(usable, r, g, b, w);
+            if (cls !== SKIN_CLASS.skin) continue;
+            add(skin, r, g, b, w);
+            const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+            const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+            stats.n++; stats.cb += cb; stats.cr += cr; stats.cb2 += cb * cb; stats.cr2 += cr * cr;
+        }
+    }
+    const mean = acc => ({ r: acc[0] / acc[3], g: acc[1] / acc[3], b: acc[2] / acc[3] });
+    if (!all[3]) return skinModel ? { r: 0, g: 0, b: 0, coverage: 0, stats } : { r: 0, g: 0, b: 0 };
+    if (!skinModel) return mean(all);
+    const coverage = skin[3] / all[3];
+    const used = coverage >= skinModel.cfg.minCoverage ? skin : usable[3] ? usable : all;
+    return { ...mean(used), coverage: Math.round(coverage * 1000) / 1000, stats };
+}
+
+/**
+ * Average every ROI and fuse them into one sample
+ * The fixed weights below only seed the fused sample (and old traces);
+ * the engine re-weights the per-ROI values by their SNR (see updateROIWeights)
+ * Weights adapt based on number of visible ROIs
+ * 1 ROI (forehead only) = [1.0]
+ * 2 ROIs (forehead + 1 cheek) = [0.7, 0.3]
+ * 3 ROIs (forehead + 2 cheeks) = [0.6, 0.2, 0.2]
+ */
+function sampleROIs(pixels, width, rois, skinModel = null) {
+    const weights = rois.length === 1 ? [1.0] :
+        rois.length === 2 ? [0.7, 0.3] : [0.6, 0.2, 0.2];
+    let rAvg = 0, gAvg = 0, bAvg = 0, totalW = 0;
+    const perROI = rois.map((roi, idx) => {
+        const w = weights[idx] || 0.2;
+        const rgb = averageRegion(pixels, width, roi, skinModel);
+        rAvg += rgb.r * w; gAvg += rgb.g * w; bAvg += rgb.b * w; totalW += w;
+        return { label: roi.label, ...rgb };
+    });
+    if (totalW > 0) { rAvg /= totalW; gAvg /= totalW; bAvg /= totalW; }
+    return { r: rAvg, g: gAvg, b: bAvg, rois: perROI };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SKIN_DEFAULTS, SKIN_CLASS, createSkinModel, classifySkinPixel, updateSkinModel, averageRegion, sampleROIs
+    };
+}
@@ -174,6 +174,20 @@ function findPeaksAdaptive(signal, fps) {
     return peaks;
 }
 
+/**
+ * Sub-sample peak time (ms) by parabolic interpolation around sample i
+ * Uses the real timestamps, so uneven frame intervals are respected
+ */
+function interpolatePeakTime(signal, timestamps, i) {
+    if (i <= 0 || i >= signal.length - 1) return timestamps[i];
+    const a = signal[i - 1], b = signal[i], c = signal[i + 1];
+    const denom = a - 2 * b + c;
+    const delta = denom !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denom)) : 0;
+    return delta >= 0
+        ? timestamps[i] + delta * (timestamps[i + 1] - timestamps[i])
+        : timestamps[i] + delta * (timestamps[i] - timestamps[i - 1]);
+}
+
 /**
  * Detrend signal using moving average subtraction
  */
@@ -410,6 +424,89 @@ function detectMotionArtifact(rSignal, gSignal, bSignal, windowSize) {
     return meanLevel > 0 && (maxDelta / meanLevel) > 0.08;
 }
 
+/**
+ * Per-sample motion mask over a window: true where the frame-to-frame RGB change exceeds
+ * `threshold` of the mean level (as detectMotionArtifact) or the face box { x, y, w } (centre
+ * and width per sample, null entries allowed) shifts or rescales by more than `faceShift` of its width;
+ * flagged samples are widened by `dilate` samples either side
+ */
+function motionMask(rSignal, gSignal, bSignal, face = null, options = {}) {
+    const { threshold = 0.08, faceShift = 0.05, dilate = 3 } = options;
+    const n = rSignal.length;
+    const hit = new Array(n).fill(false);
+    let meanLevel = 0;
+    for (let i = 0; i < n; i++) meanLevel += rSignal[i] + gSignal[i] + bSignal[i];
+    meanLevel /= n * 3;
+
+    for (let i = 1; i < n; i++) {
+        const delta = Math.abs(rSignal[i] - rSignal[i - 1]) + Math.abs(gSignal[i] - gSignal[i - 1]) + Math.abs(bSignal[i] - bSignal[i - 1]);
+        if (meanLevel > 0 && delta / meanLevel > threshold) hit[i] = true;
+        if (face && face.w[i] && face.w[i - 1]) {
+            const shift = (Math.hypot(face.x[i] - face.x[i - 1], face.y[i] - face.y[i - 1]) + Math.abs(face.w[i] - face.w[i - 1])) / face.w[i];
+            if (shift > faceShift) hit[i] = true;
+        }
+    }
+
+    const mask = new Array(n).fill(false);
+    hit.forEach((h, i) => {
+        if (!h) return;
+        for (let k = Math.max(0, i - dilate); k <= Math.min(n - 1, i + dilate); k++) mask[k] = true;
+    });
+    return mask;
+}
+
+/**
+ * Bridge masked samples by linear interpolation between the nearest unmasked neighbours
+ * (held at the edges); unchanged when every sample is masked
+ */
+function interpolateMasked(values, mask) {
+    const out = values.slice();
+    let prev = -1;
+    for (let i = 0; i <= out.length; i++) {
+        if (i < out.length && mask[i]) continue;
+        if (i - prev > 1 && (prev >= 0 || i < out.length)) {
+            for (let k = prev + 1; k < i; k++) {
+                out[k] = prev < 0 ? values[i] : i >= out.length ? values[prev]
+                    : values[prev] + (values[i] - values[prev]) * (k - prev) / (i - prev);
+            }
+        }
+        prev = i;
+    }
+    return out;
+}
+
+/**
+ * Least-squares removal of regressor signals (e.g. face translation / scale) from a channel:
+ * values − X·β with X the mean-removed regressors, so the channel mean is kept
+ * Constant regressors are skipped
+ */
+function regressOutSignals(values, regressors) {
+    const n = values.length;
+    const mean = arr => arr.reduce((a, v) => a + v, 0) / n;
+    const X = regressors.map(reg => { const m = mean(reg); return reg.map(v => v - m); })
+        .filter(col => col.some(v => Math.abs(v) > 1e-9));
+    if (!X.length || n <= X.length + 1) return values.slice();
+    const k = X.length, my = mean(values);
+
+    // Normal equations (XᵀX) β = Xᵀy, Gaussian elimination with partial pivoting
+    const A = X.map(a => X.map(b => a.reduce((s, v, i) => s + v * b[i], 0)));
+    const beta = X.map(a => a.reduce((s, v, i) => s + v * (values[i] - my), 0));
+    for (let c = 0; c < k; c++) {
+        let p = c;
+        for (let r = c + 1; r < k; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+        if (Math.abs(A[p][c]) < 1e-12) return values.slice(); // collinear regressors
+        [A[c], A[p]] = [A[p], A[c]]; [beta[c], beta[p]] = [beta[p], beta[c]];
+        for (let r = 0; r < k; r++) {
+            if (r === c) continue;
+            const f = A[r][c] / A[c][c];
+            for (let j = c; j < k; j++) A[r][j] -= f * A[c][j];
+            beta[r] -= f * beta[c];
+        }
+    }
+    for (let c = 0; c < k; c++) beta[c] /= A[c][c];
+    return values.map((v, i) => v - X.reduce((s, col, c) => s + beta[c] * col[i], 0));
+}
+
 /**
  * Ambient light compensation
  * Removes slow brightness variations by high-pass filtering the luminance
@@ -448,37 +545,41 @@ function compensateAmbientLight(rSignal, gSignal, bSignal) {
 }
 
 /**
- * Combined best-estimate HR using both POS and CHROM, weighted by quality
+ * Band-pass, score and estimate HR for one pulse extraction method ({ id, extract(r, g, b, fps) })
  */
-function fusedHeartRate(rSignal, gSignal, bSignal, fps) {
+function evaluatePulseMethod(method, rSignal, gSignal, bSignal, fps) {
+    const filtered = butterworthBandpass(method.extract(rSignal, gSignal, bSignal, fps), fps);
+    return { id: method.id, filtered, quality: assessSignalQuality(filtered, fps), hr: welchFFTHeartRate(filtered, fps) };
+}
+
+/**
+ * Combined best-estimate HR over several methods (default POS and CHROM), weighted by quality
+ * Returns the best method's filtered signal / quality plus every method's result
+ */
+function fusedHeartRate(rSignal, gSignal, bSignal, fps, methods) {
     const compensated = compensateAmbientLight(rSignal, gSignal, bSignal);
     const r = compensated.r, g = compensated.g, b = compensated.b;
 
-    const posSig = posAlgorithm(r, g, b, fps);
-    const chromSig = chromAlgorithm(r, g, b);
-
-    const posFiltered = butterworthBandpass(posSig, fps);
-    const chromFiltered = butterworthBandpass(chromSig, fps);
-
-    const posQuality = assessSignalQuality(posFiltered, fps);
-    const chromQuality = assessSignalQuality(chromFiltered, fps);
-
-    const posHR = welchFFTHeartRate(posFiltered, fps);
-    const chromHR = welchFFTHeartRate(chromFiltered, fps);
+    const list = methods && methods.length ? methods
+        : [{ id: 'pos', extract: posAlgorithm }, { id: 'chrom', extract: (r, g, b) => chromAlgorithm(r, g, b) }];
+    const results = list.map(m => evaluatePulseMethod(m, r, g, b, fps));
 
     // Weight by quality score
-    const totalQ = posQuality.score + chromQuality.score;
-    let bestHR, bestFiltered, bestQuality;
-
-    if (totalQ === 0) {
-        bestHR = posHR;
-        bestFiltered = posFiltered;
-        bestQuality = posQuality;
-    } else {
-        bestHR = (posHR * posQuality.score + chromHR * chromQuality.score) / totalQ;
-        bestFiltered = posQuality.score >= chromQuality.score ? posFiltered : chromFiltered;
-        bestQuality = posQuality.score >= chromQuality.score ? posQuality : chromQuality;
-    }
+    const totalQ = results.reduce((sum, m) => sum + m.quality.score, 0);
+    const best = results.reduce((a, m) => (m.quality.score > a.quality.score ? m : a), results[0]);
+    const bestHR = totalQ === 0 ? results[0].hr
+        : results.reduce((sum, m) => sum + m.hr * m.quality.score, 0) / totalQ;
+    const bestFiltered = totalQ === 0 ? results[0].filtered : best.filtered;
+    const bestQuality = totalQ === 0 ? results[0].quality : best.quality;
+
+    return { hr: bestHR, filtered: bestFiltered, quality: bestQuality, methods: results };
+}
 
-    return { hr: bestHR, filtered: bestFiltered, quality: bestQuality };
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        chromAlgorithm, localStd, fftHeartRate, nextPow2, fft, butterworthBandpass,
+        findPeaksAdaptive, interpolatePeakTime, detrendSignal, estimateFPS, posAlgorithm, welchFFTHeartRate,
+        assessSignalQuality, arrayStd, rejectOutliersIQR, detectMotionArtifact, motionMask, interpolateMasked, regressOutSignals,
+        compensateAmbientLight, evaluatePulseMethod, fusedHeartRate
+    };
 }
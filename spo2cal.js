@@ -0,0 +1,84 @@
+// ===== rPPG Pro — SpO2 Calibration =====
+// Per-user, per-camera fit of the SpO2 = a − b · ratio model against fingertip oximeter readings
+// Pure logic: the page collects { spo2, ratio } points during measurements and stores the fit with the user profile
+
+const SPO2_CALIBRATION = {
+    maxPoints: 20,         // newest points kept per camera
+    minLinearPoints: 4,    // points before the slope is fitted too (fewer: offset only, default slope)
+    minRatioSpan: 0.05,    // ratio and oximeter spread needed for a slope fit
+    minSpO2Span: 3,
+    slopeRange: [5, 80],   // fitted slopes outside this fall back to the offset fit
+    minSpO2: 70            // lower clamp of calibrated readings
+};
+
+// Confidence from the number of points and the fit's residual SD (%)
+const SPO2_CONFIDENCE = {
+    none: { label: '未校正', color: 'var(--text-tertiary)' },
+    low: { label: '低', color: '#ff2d55' },
+    medium: { label: '中', color: '#ff9500' },
+    high: { label: '高', color: '#34c759' }
+};
+
+/**
+ * Stable key of a camera, from its track label
+ */
+function spo2CameraKey(label) {
+    return (label || '').trim() || 'default';
+}
+
+/**
+ * Fit over [{ spo2, ratio }] → { a, b, min, mode: 'offset' | 'linear', n, residualSD, confidence }, null without points
+ * Resting readings barely spread, so the slope is only fitted when the points span enough of both axes
+ */
+function fitSpO2Calibration(points, options = {}) {
+    const cfg = { ...SPO2_CALIBRATION, ...options };
+    const n = points.length;
+    if (!n) return null;
+    const mean = key => points.reduce((a, p) => a + p[key], 0) / n;
+    const span = key => Math.max(...points.map(p => p[key])) - Math.min(...points.map(p => p[key]));
+    const mr = mean('ratio'), ms = mean('spo2');
+
+    let b = SPO2_DEFAULT_MODEL.b, mode = 'offset';
+    if (n >= cfg.minLinearPoints && span('ratio') >= cfg.minRatioSpan && span('spo2') >= cfg.minSpO2Span) {
+        const cov = points.reduce((a, p) => a + (p.ratio - mr) * (p.spo2 - ms), 0);
+        const varR = points.reduce((a, p) => a + (p.ratio - mr) ** 2, 0);
+        const slope = -cov / varR;
+        if (slope >= cfg.slopeRange[0] && slope <= cfg.slopeRange[1]) { b = slope; mode = 'linear'; }
+    }
+    const a = ms + b * mr;
+
+    const dof = n - (mode === 'linear' ? 2 : 1);
+    const residualSD = dof > 0
+        ? Math.round(Math.sqrt(points.reduce((acc, p) => acc + (p.spo2 - (a - b * p.ratio)) ** 2, 0) / dof) * 10) / 10 : null;
+    const confidence = residualSD === null ? 'low'
+        : n >= 5 && residualSD <= 1.5 ? 'high'
+            : residualSD <= 3 ? 'medium' : 'low';
+    return {
+        a: Math.round(a * 1000) / 1000, b: Math.round(b * 1000) / 1000, min: cfg.minSpO2,
+        mode, n, residualSD, confidence
+    };
+}
+
+/**
+ * Calibration entry with one more oximeter point: { points, ...fit, updated }
+ */
+function addSpO2CalibrationPoint(entry, point, options = {}) {
+    const cfg = { ...SPO2_CALIBRATION, ...options };
+    const points = [...((entry && entry.points) || []), point].slice(-cfg.maxPoints);
+    return { points, ...fitSpO2Calibration(points, cfg), updated: new Date().toISOString() };
+}
+
+/**
+ * Entry without the point at `index`; null once no points remain
+ */
+function removeSpO2CalibrationPoint(entry, index, options = {}) {
+    const points = entry.points.filter((p, i) => i !== index);
+    return points.length ? { points, ...fitSpO2Calibration(points, options), updated: new Date().toISOString() } : null;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPO2_CALIBRATION, SPO2_CONFIDENCE, spo2CameraKey, fitSpO2Calibration,
+        addSpO2CalibrationPoint, removeSpO2CalibrationPoint
+    };
+}
@@ -0,0 +1,179 @@
+// ===== rPPG Pro — Stress Test =====
+// Baseline → stressor task → recovery, run as a protocol (protocols.js); per-metric reactivity,
+// time to recover and area under the curve from the session timeline
+// Pure logic: the page shows the task items and owns timing and saving
+
+const STRESS_TEST_DEFAULTS = {
+    baseline: 60,      // seconds
+    stressor: 120,
+    recovery: 120,
+    task: 'arithmetic', // arithmetic | stroop | custom
+    customTask: '',     // instruction shown / spoken for a user-supplied stressor
+    itemSeconds: 5,     // time limit per task item
+    minQuality: 40
+};
+
+// Stress direction per metric: +1 rises under stress, -1 falls
+const STRESS_TEST_METRICS = [
+    { key: 'hr', label: '心率', unit: 'BPM', direction: 1 },
+    { key: 'sdnn', label: 'SDNN', unit: 'ms', direction: -1 },
+    { key: 'rmssd', label: 'RMSSD', unit: 'ms', direction: -1 },
+    { key: 'breath', label: '呼吸', unit: '/min', direction: 1 }
+];
+
+const STRESS_TASKS = {
+    arithmetic: { name: '心算', prompt: '開始心算：盡快選出正確答案' },
+    stroop: { name: 'Stroop 色字測驗', prompt: '開始 Stroop：選出文字的顏色，不是文字本身' },
+    custom: { name: '自訂任務', prompt: '' }
+};
+
+const STROOP_COLORS = [
+    { name: '紅', color: '#ff2d55' },
+    { name: '綠', color: '#34c759' },
+    { name: '藍', color: '#0a84ff' },
+    { name: '黃', color: '#ffd60a' }
+];
+
+function _pick(list, rng) {
+    return list[Math.floor(rng() * list.length)];
+}
+
+function _shuffle(list, rng) {
+    const a = list.slice();
+    for (let i = a.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [a[i], a[j]] = [a[j], a[i]];
+    }
+    return a;
+}
+
+/**
+ * "a − b" with four choices close to the answer: { text, choices, answer }
+ */
+function arithmeticItem(rng = Math.random) {
+    const a = 100 + Math.floor(rng() * 900), b = 7 + Math.floor(rng() * 93);
+    const answer = a - b;
+    const choices = new Set([answer]);
+    while (choices.size < 4) {
+        const off = (1 + Math.floor(rng() * 10)) * (rng() < 0.5 ? -1 : 1);
+        choices.add(answer + off);
+    }
+    return { text: `${a} − ${b}`, choices: _shuffle([...choices], rng).map(String), answer: String(answer) };
+}
+
+/**
+ * Colour word drawn in a different ink; the answer is the ink: { word, ink, choices, answer }
+ */
+function stroopItem(rng = Math.random) {
+    const word = _pick(STROOP_COLORS, rng);
+    const ink = _pick(STROOP_COLORS.filter(c => c !== word), rng);
+    return { word: word.name, ink: ink.color, choices: STROOP_COLORS.map(c => c.name), answer: ink.name };
+}
+
+/**
+ * The stress test as a protocol for createProtocolRun()
+ */
+function stressTestProtocol(options = {}) {
+    const cfg = { ...STRESS_TEST_DEFAULTS, ...options };
+    const task = STRESS_TASKS[cfg.task] || STRESS_TASKS.arithmetic;
+    return {
+        id: 'stress', name: '壓力測試', minQuality: cfg.minQuality, task: cfg.task,
+        phases: [
+            { id: 'baseline', label: '基線', duration: cfg.baseline, prompt: '請保持放鬆，正常呼吸' },
+            { id: 'stressor', label: task.name, duration: cfg.stressor, prompt: cfg.task === 'custom' ? (cfg.customTask || task.name) : task.prompt },
+            { id: 'recovery', label: '恢復', duration: cfg.recovery, prompt: '任務結束，放鬆休息' }
+        ]
+    };
+}
+
+// Non-null timeline points in [start, end), so a point on a phase boundary counts once
+function _points(timeline, key, start, end) {
+    const out = [];
+    timeline.times.forEach((time, i) => {
+        const v = timeline[key] ? timeline[key][i] : null;
+        if (time >= start && time < end && v !== null && v !== undefined) out.push({ time, v });
+    });
+    return out;
+}
+
+function _meanSD(values) {
+    if (!values.length) return { mean: null, sd: null };
+    const mean = values.reduce((a, v) => a + v, 0) / values.length;
+    const sd = values.length > 1 ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1)) : 0;
+    return { mean, sd };
+}
+
+const _r1 = v => (v === null ? null : Math.round(v * 10) / 10);
+
+/**
+ * Per-metric results from the timeline and the run's phases ({ id, start, end } in sample time):
+ * baseline mean / SD, stressor mean and peak, reactivity (absolute and %), time to recover
+ * (seconds from the start of recovery until three consecutive points stay within
+ * max(baseline SD, 5 % of baseline)), and AUC of the deviation from baseline over stressor + recovery (unit·s)
+ */
+function analyzeStressTest(phases, timeline) {
+    const phase = id => phases.find(p => p.id === id);
+    const base = phase('baseline'), stressor = phase('stressor'), recovery = phase('recovery');
+    if (!base || !stressor || !timeline) return null;
+    const testEnd = recovery ? recovery.end ?? recovery.start : stressor.end ?? stressor.start;
+
+    const metrics = STRESS_TEST_METRICS.map(m => {
+        const { mean: baseline, sd } = _meanSD(_points(timeline, m.key, base.start, base.end).map(p => p.v));
+        const during = _points(timeline, m.key, stressor.start, stressor.end ?? stressor.start);
+        const result = { key: m.key, baseline: _r1(baseline), baselineSD: _r1(sd), stressor: null, peak: null, reactivity: null, reactivityPct: null, recoverySeconds: null, recoveryMean: null, auc: null };
+        if (baseline === null || !during.length) return result;
+
+        const stressMean = during.reduce((a, p) => a + p.v, 0) / during.length;
+        const peak = m.direction > 0 ? Math.max(...during.map(p => p.v)) : Math.min(...during.map(p => p.v));
+        Object.assign(result, {
+            stressor: _r1(stressMean),
+            peak,
+            reactivity: _r1(stressMean - baseline),
+            reactivityPct: baseline ? _r1((stressMean - baseline) / baseline * 100) : null
+        });
+
+        if (recovery) {
+            const after = _points(timeline, m.key, recovery.start, recovery.end ?? recovery.start);
+            const band = Math.max(sd || 0, Math.abs(baseline) * 0.05);
+            const inside = after.map(p => Math.abs(p.v - baseline) <= band);
+            const at = inside.findIndex((ok, i) => ok && inside.length - i >= 3 && inside[i + 1] && inside[i + 2]);
+            result.recoverySeconds = at >= 0 ? Math.round((after[at].time - recovery.start) / 1000) : null;
+            result.recoveryMean = after.length ? _r1(after.reduce((a, p) => a + p.v, 0) / after.length) : null;
+        }
+
+        const curve = _points(timeline, m.key, stressor.start, testEnd);
+        let auc = 0;
+        for (let i = 1; i < curve.length; i++) {
+            const dt = (curve[i].time - curve[i - 1].time) / 1000;
+            auc += ((curve[i].v - baseline) + (curve[i - 1].v - baseline)) / 2 * dt;
+        }
+        result.auc = Math.round(auc);
+        return result;
+    });
+
+    return {
+        completed: !!(recovery && recovery.end !== null && !recovery.stopped),
+        phases: phases.map(p => ({ id: p.id, start: p.start, end: p.end })),
+        metrics
+    };
+}
+
+/**
+ * Task performance from the answer log [{ correct, rt (ms) | null for a timeout }]
+ */
+function stressTaskPerformance(answers) {
+    const answered = answers.filter(a => a.rt !== null);
+    return {
+        items: answers.length,
+        correct: answers.filter(a => a.correct).length,
+        timeouts: answers.length - answered.length,
+        meanRT: answered.length ? Math.round(answered.reduce((s, a) => s + a.rt, 0) / answered.length) : null
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STRESS_TEST_DEFAULTS, STRESS_TEST_METRICS, STRESS_TASKS, STROOP_COLORS,
+        arithmeticItem, stroopItem, stressTestProtocol, analyzeStressTest, stressTaskPerformance
+    };
+}
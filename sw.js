@@ -1,10 +1,26 @@
 // ===== rPPG Pro — Service Worker =====
-const CACHE_NAME = 'rppg-pro-v4';
+const CACHE_NAME = 'rppg-pro-v21';
 const ASSETS = [
     '/',
     '/index.html',
+    '/signal.js',
     '/analysis.js',
+    '/engine.js',
     '/history.js',
+    '/trace.js',
+    '/roi.js',
+    '/methods.js',
+    '/tracker.js',
+    '/trends.js',
+    '/interop.js',
+    '/report.js',
+    '/protocols.js',
+    '/stresstest.js',
+    '/biofeedback.js',
+    '/refsensor.js',
+    '/spo2cal.js',
+    '/respiration.js',
+    '/analysis-worker.js',
     '/manifest.json',
     '/icon-192.png',
     '/icon-512.png'
@@ -0,0 +1,157 @@
+// ===== rPPG Pro — Raw RGB Trace Module =====
+// Full-session per-frame recording (fused + per-ROI RGB, face box, yaw, motion), compact JSON export / import
+
+const TRACE_FORMAT = 'rppg-trace';
+const TRACE_VERSION = 1;
+
+/**
+ * Create an empty column-oriented trace
+ * Columns keep the file compact and map directly onto the rSig/gSig/bSig/ts buffers
+ */
+function createTrace(meta = {}) {
+    return {
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        source: meta.source || 'camera',
+        sourceName: meta.sourceName || '',
+        startedAt: meta.startedAt || new Date().toISOString(),
+        t: [], r: [], g: [], b: [],
+        rois: {},               // label → { r: [], g: [], b: [] }, null where the ROI was hidden
+        face: { x: [], y: [], w: [], h: [] },
+        yaw: [],
+        motion: []              // 0/1 motion-artifact flag
+    };
+}
+
+function traceLength(trace) {
+    return trace ? trace.t.length : 0;
+}
+
+/**
+ * Append one frame: { t, r, g, b, rois: [{ label, r, g, b }], face: { x, y, w, h }, yaw, motion }
+ */
+function appendTraceFrame(trace, frame) {
+    const idx = trace.t.length;
+    trace.t.push(frame.t);
+    trace.r.push(frame.r); trace.g.push(frame.g); trace.b.push(frame.b);
+
+    const seen = new Set();
+    (frame.rois || []).forEach(roi => {
+        const label = roi.label || 'roi' + seen.size;
+        if (!trace.rois[label]) {
+            // ROI appears mid-session (e.g. cheek revealed after a head turn) — backfill with nulls
+            trace.rois[label] = { r: new Array(idx).fill(null), g: new Array(idx).fill(null), b: new Array(idx).fill(null) };
+        }
+        const col = trace.rois[label];
+        col.r.push(roi.r); col.g.push(roi.g); col.b.push(roi.b);
+        seen.add(label);
+    });
+    Object.keys(trace.rois).forEach(label => {
+        if (seen.has(label)) return;
+        const col = trace.rois[label];
+        col.r.push(null); col.g.push(null); col.b.push(null);
+    });
+
+    const f = frame.face || {};
+    trace.face.x.push(f.x ?? null); trace.face.y.push(f.y ?? null);
+    trace.face.w.push(f.w ?? null); trace.face.h.push(f.h ?? null);
+    trace.yaw.push(frame.yaw ?? null);
+    trace.motion.push(frame.motion ? 1 : 0);
+}
+
+/**
+ * Rebuild frame i in the same shape appendTraceFrame accepts
+ */
+function getTraceFrame(trace, i) {
+    const rois = [];
+    Object.keys(trace.rois).forEach(label => {
+        const col = trace.rois[label];
+        if (col.r[i] !== null && col.r[i] !== undefined) rois.push({ label, r: col.r[i], g: col.g[i], b: col.b[i] });
+    });
+    return {
+        t: trace.t[i], r: trace.r[i], g: trace.g[i], b: trace.b[i],
+        rois,
+        face: trace.face.x[i] === null ? null : { x: trace.face.x[i], y: trace.face.y[i], w: trace.face.w[i], h: trace.face.h[i] },
+        yaw: trace.yaw[i],
+        motion: !!trace.motion[i]
+    };
+}
+
+function _roundCol(arr, digits) {
+    const k = 10 ** digits;
+    return arr.map(v => (v === null || v === undefined) ? null : Math.round(v * k) / k);
+}
+
+/**
+ * Serialize to compact JSON: timestamps relative to the first frame, values rounded
+ * (3 decimals keeps the ~0.1-unit pulse amplitude intact)
+ */
+function serializeTrace(trace) {
+    const t0 = trace.t.length ? trace.t[0] : 0;
+    const rois = {};
+    Object.keys(trace.rois).forEach(label => {
+        const col = trace.rois[label];
+        rois[label] = { r: _roundCol(col.r, 3), g: _roundCol(col.g, 3), b: _roundCol(col.b, 3) };
+    });
+    return JSON.stringify({
+        format: TRACE_FORMAT,
+        version: TRACE_VERSION,
+        source: trace.source,
+        sourceName: trace.sourceName,
+        startedAt: trace.startedAt,
+        frames: trace.t.length,
+        t0,
+        t: _roundCol(trace.t.map(v => v - t0), 2),
+        r: _roundCol(trace.r, 3), g: _roundCol(trace.g, 3), b: _roundCol(trace.b, 3),
+        rois,
+        face: {
+            x: _roundCol(trace.face.x, 1), y: _roundCol(trace.face.y, 1),
+            w: _roundCol(trace.face.w, 1), h: _roundCol(trace.face.h, 1)
+        },
+        yaw: _roundCol(trace.yaw, 3),
+        motion: trace.motion
+    });
+}
+
+/**
+ * Parse and validate a serialized trace; throws on malformed input
+ */
+function parseTrace(text) {
+    const data = typeof text === 'string' ? JSON.parse(text) : text;
+    if (!data || data.format !== TRACE_FORMAT) throw new Error('Not an rPPG trace file');
+    if (data.version > TRACE_VERSION) throw new Error('Unsupported trace version ' + data.version);
+
+    const n = Array.isArray(data.t) ? data.t.length : 0;
+    const sameLen = arr => Array.isArray(arr) && arr.length === n;
+    if (!n || !sameLen(data.r) || !sameLen(data.g) || !sameLen(data.b)) throw new Error('Trace columns are missing or mismatched');
+
+    const t0 = data.t0 || 0;
+    const trace = createTrace({ source: data.source, sourceName: data.sourceName, startedAt: data.startedAt });
+    trace.t = data.t.map(v => v + t0);
+    trace.r = data.r.slice(); trace.g = data.g.slice(); trace.b = data.b.slice();
+    Object.keys(data.rois || {}).forEach(label => {
+        const col = data.rois[label];
+        if (sameLen(col.r) && sameLen(col.g) && sameLen(col.b)) trace.rois[label] = { r: col.r, g: col.g, b: col.b };
+    });
+    const face = data.face || {};
+    ['x', 'y', 'w', 'h'].forEach(k => { trace.face[k] = sameLen(face[k]) ? face[k] : new Array(n).fill(null); });
+    trace.yaw = sameLen(data.yaw) ? data.yaw : new Array(n).fill(null);
+    trace.motion = sameLen(data.motion) ? data.motion : new Array(n).fill(0);
+    return trace;
+}
+
+function downloadTrace(trace) {
+    const blob = new Blob([serializeTrace(trace)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `rppg_trace_${(trace.startedAt || new Date().toISOString()).slice(0, 19).replace(/[:T]/g, '-')}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRACE_FORMAT, TRACE_VERSION, createTrace, traceLength, appendTraceFrame,
+        getTraceFrame, serializeTrace, parseTrace, downloadTrace
+    };
+}
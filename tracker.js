@@ -0,0 +1,114 @@
+// ===== rPPG Pro — Face Tracks =====
+// Keeps a stable id per detected face across detections (greedy IoU / centre-distance matching)
+// and predicts each box at sub-pixel level between detections from its smoothed velocity
+// Pure logic: the page owns each track's engine, buffers and panel
+
+const TRACKER_DEFAULTS = {
+    minIoU: 0.2,         // overlap that always counts as the same face
+    maxCenterShift: 0.6, // or a centre shift up to this fraction of the face width
+    maxMissed: 15,       // detection rounds a face may be absent before its track ends
+    velocityAlpha: 0.5,  // smoothing of the per-detection box velocity (0-1, high = follows the latest)
+    maxPredict: 250      // ms past the last detection a box is extrapolated
+};
+
+const _BOX_KEYS = ['x', 'y', 'w', 'h'];
+
+function _boxCenter(b) {
+    return [b.cx ?? b.x + b.w / 2, b.cy ?? b.y + b.h / 2];
+}
+
+/**
+ * Intersection over union of two {x, y, w, h} boxes
+ */
+function boxIoU(a, b) {
+    const ix = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
+    const iy = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
+    const inter = ix * iy;
+    const union = a.w * a.h + b.w * b.h - inter;
+    return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Box of a track extrapolated to `time` (ms, the clock passed to update) at its smoothed velocity,
+ * at most maxPredict past the last detection; the detected box without a velocity
+ */
+function predictBox(track, time, maxPredict = TRACKER_DEFAULTS.maxPredict) {
+    const box = track.box;
+    if (!track.velocity || track.time === undefined || time === undefined) return { ...box };
+    const dt = Math.max(0, Math.min(time - track.time, maxPredict));
+    const out = { ...box };
+    _BOX_KEYS.forEach(k => { out[k] = box[k] + track.velocity[k] * dt; });
+    out.cx = out.x + out.w / 2;
+    out.cy = out.y + out.h / 2;
+    return out;
+}
+
+/**
+ * Create a tracker; update(boxes, time) is called once per detection round, time (ms) = capture time
+ * of the detected frame, needed for prediction
+ * Returns { tracks, added, removed }: tracks sorted by id as { id, box, time, velocity, missed, age },
+ * velocity = box change per ms (null until a second detection)
+ */
+function createFaceTracker(options = {}) {
+    const cfg = { ...TRACKER_DEFAULTS, ...options };
+    let tracks = [], nextId = 1;
+
+    function update(boxes, time) {
+        boxes = boxes || [];
+        // Candidate pairs, best match first
+        const pairs = [];
+        tracks.forEach((tr, ti) => boxes.forEach((box, bi) => {
+            const iou = boxIoU(tr.box, box);
+            const [ax, ay] = _boxCenter(tr.box), [bx, by] = _boxCenter(box);
+            const shift = Math.hypot(ax - bx, ay - by) / Math.max(tr.box.w, 1);
+            if (iou >= cfg.minIoU || shift <= cfg.maxCenterShift) pairs.push({ ti, bi, score: iou - shift });
+        }));
+        pairs.sort((a, b) => b.score - a.score);
+
+        const usedTracks = new Set(), usedBoxes = new Set();
+        pairs.forEach(({ ti, bi }) => {
+            if (usedTracks.has(ti) || usedBoxes.has(bi)) return;
+            usedTracks.add(ti); usedBoxes.add(bi);
+            const tr = tracks[ti], box = boxes[bi];
+            if (time !== undefined && tr.time !== undefined && time > tr.time) {
+                const v = {};
+                _BOX_KEYS.forEach(k => { v[k] = (box[k] - tr.box[k]) / (time - tr.time); });
+                tr.velocity = tr.velocity && !tr.missed
+                    ? Object.fromEntries(_BOX_KEYS.map(k => [k, tr.velocity[k] + cfg.velocityAlpha * (v[k] - tr.velocity[k])])) : v;
+            }
+            Object.assign(tr, { box, time, missed: 0 });
+            tr.age++;
+        });
+
+        const removed = [];
+        tracks = tracks.filter((tr, ti) => {
+            if (usedTracks.has(ti)) return true;
+            tr.missed++;
+            if (tr.missed <= cfg.maxMissed) return true;
+            removed.push(tr);
+            return false;
+        });
+
+        const added = [];
+        boxes.forEach((box, bi) => {
+            if (usedBoxes.has(bi)) return;
+            const tr = { id: nextId++, box, time, velocity: null, missed: 0, age: 1 };
+            tracks.push(tr);
+            added.push(tr);
+        });
+
+        tracks.sort((a, b) => a.id - b.id);
+        return { tracks: tracks.slice(), added, removed };
+    }
+
+    return {
+        update,
+        predict: (track, time) => predictBox(track, time, cfg.maxPredict),
+        reset() { tracks = []; nextId = 1; },
+        get tracks() { return tracks.slice(); }
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TRACKER_DEFAULTS, boxIoU, predictBox, createFaceTracker };
+}
@@ -0,0 +1,113 @@
+// ===== rPPG Pro — Longitudinal Trends =====
+// Daily values across saved sessions, rolling 7 / 28-day baselines and personal-baseline deviation flags
+// Pure logic on session records from getSessions(); the page only draws the result
+
+const TREND_METRICS = [
+    { key: 'restingHR', label: '靜息心率', unit: 'BPM' },
+    { key: 'sdnn', label: 'SDNN', unit: 'ms' },
+    { key: 'rmssd', label: 'RMSSD', unit: 'ms' },
+    { key: 'breath', label: '呼吸率', unit: '/min' },
+    { key: 'c0', label: 'C0 心', unit: '%' },
+    { key: 'c1', label: 'C1 肝', unit: '%' },
+    { key: 'c2', label: 'C2 腎', unit: '%' },
+    { key: 'c3', label: 'C3 脾', unit: '%' },
+    { key: 'c4', label: 'C4 肺', unit: '%' }
+];
+
+const TREND_DEFAULTS = {
+    minQuality: 0,      // sessions below this quality score are ignored
+    threshold: 2,       // SDs from the 28-day baseline that flag a day
+    minBaselineDays: 5  // prior days needed before a day can be flagged
+};
+
+const DAY_MS = 86400000;
+
+// Local calendar day, so early-morning sessions land on the right date
+function trendDayKey(timestamp) {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function _mean(values) {
+    return values.length ? values.reduce((a, v) => a + v, 0) / values.length : null;
+}
+
+function _round1(v) {
+    return v === null ? null : Math.round(v * 10) / 10;
+}
+
+/**
+ * One entry per measured day, oldest first: { date, time (local midnight ms), sessions, restingHR, sdnn, rmssd, breath, c0…c4 }
+ * Resting HR is the lowest session average of the day; the other metrics are day means
+ */
+function dailyTrendValues(sessions, options = {}) {
+    const minQuality = options.minQuality ?? TREND_DEFAULTS.minQuality;
+    const byDay = new Map();
+    sessions.forEach(s => {
+        // Stress tests and paced breathing are provoked responses, not daily readings
+        if (!s.timestamp || isNaN(Date.parse(s.timestamp)) || (s.type && s.type !== 'measurement') || (s.quality_score || 0) < minQuality) return;
+        const key = trendDayKey(s.timestamp);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(s);
+    });
+
+    return [...byDay.entries()].map(([date, list]) => {
+        const pick = fn => list.map(fn).filter(v => v !== null && v !== undefined && v > 0);
+        const hrs = pick(s => s.avg_hr);
+        const [y, m, d] = date.split('-').map(Number);
+        const day = {
+            date,
+            time: new Date(y, m - 1, d).getTime(),
+            sessions: list.length,
+            restingHR: hrs.length ? Math.min(...hrs) : null,
+            sdnn: _round1(_mean(pick(s => s.avg_hrv))),
+            rmssd: _round1(_mean(pick(s => s.avg_rmssd))),
+            breath: _round1(_mean(pick(s => s.avg_breath)))
+        };
+        for (let h = 0; h <= 4; h++) day['c' + h] = _round1(_mean(pick(s => (s.harmonics ? s.harmonics[h] : null))));
+        return day;
+    }).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Mean and SD of a metric over the windowDays calendar days before each day (the day itself excluded)
+ */
+function rollingBaseline(days, key, windowDays) {
+    return days.map(day => {
+        const from = day.time - windowDays * DAY_MS;
+        const values = days.filter(d => d.time >= from && d.time < day.time && d[key] !== null).map(d => d[key]);
+        if (!values.length) return { mean: null, sd: null, n: 0 };
+        const mean = _mean(values);
+        const sd = values.length > 1 ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1)) : null;
+        return { mean: _round1(mean), sd: sd === null ? null : Math.round(sd * 100) / 100, n: values.length };
+    });
+}
+
+/**
+ * Daily values, 7 / 28-day baselines and deviation flags for every trend metric
+ * Returns { days, metrics: { key: { values, base7, base28, z, flags } }, flagged: [{ date, key, value, z }] }
+ */
+function computeTrends(sessions, options = {}) {
+    const cfg = { ...TREND_DEFAULTS, ...options };
+    const days = dailyTrendValues(sessions, cfg);
+    const metrics = {}, flagged = [];
+    TREND_METRICS.forEach(({ key }) => {
+        const values = days.map(d => d[key]);
+        const base7 = rollingBaseline(days, key, 7);
+        const base28 = rollingBaseline(days, key, 28);
+        const z = values.map((v, i) => {
+            const b = base28[i];
+            if (v === null || b.n < cfg.minBaselineDays || !b.sd) return null;
+            return Math.round((v - b.mean) / b.sd * 100) / 100;
+        });
+        const flags = z.map(v => v !== null && Math.abs(v) > cfg.threshold);
+        flags.forEach((f, i) => { if (f) flagged.push({ date: days[i].date, key, value: values[i], z: z[i] }); });
+        metrics[key] = { values, base7, base28, z, flags };
+    });
+    flagged.sort((a, b) => (a.date < b.date ? 1 : -1));
+    return { days, metrics, flagged };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TREND_METRICS, TREND_DEFAULTS, trendDayKey, dailyTrendValues, rollingBaseline, computeTrends };
+}